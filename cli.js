@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const postcss = require("postcss");
+
+const plugin = require("./index");
+const {
+  FORMATS,
+  formatManifest,
+  inferFormat,
+  orderedSteps,
+} = require("./manifest");
+
+/**
+ * Command-line tool for inspecting and generating scales without a bundler.
+ * Reads plugin options from a config file (or a token file) and runs the
+ * same engine as the plugin.
+ */
+
+const USAGE = `Usage: postcss-ruler <command> [options]
+
+Commands:
+  table                 Print each step's size in px at chosen viewport widths
+  tokens                Write the scales as custom properties
+  build <file>          Process a CSS file with @ruler at-rules (e.g. utilities)
+  manifest              Write the resolved scales as JSON, ESM, TypeScript or SCSS
+  check <files...>      Report @ruler syntax errors and warnings
+
+Options:
+  --config <file>       Plugin options module, or a postcss.config.js with a
+                        "postcss-ruler" entry (default: postcss-ruler.config.js
+                        or postcss.config.js in the current directory)
+  --tokens <file>       Design token file to read scales from instead
+  --scale <names>       Comma-separated scales to include (default: all)
+  --widths <px,...>     Viewport widths for table (default: 320,768,1024,1440,1760)
+  --selector <sel>      Selector wrapping tokens output
+  --layer <name>        Cascade layer wrapping tokens output
+  --format <format>     Manifest format: ${FORMATS.join(", ")} (default: from
+                        the output extension, or json)
+  -o, --output <file>   Write to a file instead of stdout
+  -h, --help            Show this help`;
+
+// Options that take a value, and their short aliases
+const VALUE_OPTIONS = [
+  "config",
+  "tokens",
+  "scale",
+  "widths",
+  "selector",
+  "layer",
+  "format",
+  "output",
+];
+const ALIASES = { "-o": "output", "-h": "help" };
+
+// Config files looked up in the current directory when --config is not given
+const CONFIG_FILES = ["postcss-ruler.config.js", "postcss.config.js"];
+
+const DEFAULT_WIDTHS = [320, 768, 1024, 1440, 1760];
+
+/**
+ * Creates an error reported to the user without a stack trace
+ * @param {string} message - Error message
+ * @returns {Error} Error with the plugin prefix
+ */
+const usageError = (message) => new Error(`[postcss-ruler] ${message}`);
+
+/**
+ * Parses command-line arguments
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {{command: string, files: Array<string>, options: Object}} Parsed
+ *   command, positional file arguments and options
+ * @throws {Error} On unknown options or missing values
+ */
+const parseArgs = (argv) => {
+  const positionals = [];
+  const options = {};
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith("-")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const name = ALIASES[flag] || flag.replace(/^--/, "");
+    if (name === "help") {
+      options.help = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = inlineValue ?? argv[++index];
+      if (value === undefined || value === "") {
+        throw usageError(`Option ${flag} requires a value`);
+      }
+      options[name] = value;
+    } else {
+      throw usageError(`Unknown option ${flag}`);
+    }
+  }
+
+  const [command, ...files] = positionals;
+  return { command, files, options };
+};
+
+/**
+ * Loads plugin options from a token file, an options module or a PostCSS
+ * config
+ * @param {Object} options - Parsed command-line options
+ * @param {string} cwd - Directory relative paths are resolved from
+ * @returns {Object} Plugin options
+ * @throws {Error} If no config is found or it has no postcss-ruler entry
+ */
+const loadPluginOptions = (options, cwd) => {
+  if (options.tokens) return { scales: path.resolve(cwd, options.tokens) };
+
+  const file = options.config
+    ? path.resolve(cwd, options.config)
+    : CONFIG_FILES.map((name) => path.join(cwd, name)).find(fs.existsSync);
+  if (!file) {
+    throw usageError(
+      `No config found. Pass --config or --tokens, or add ${CONFIG_FILES.join(" or ")}`,
+    );
+  }
+  if (!fs.existsSync(file)) throw usageError(`Config "${file}" not found`);
+
+  let loaded = require(file);
+  if (typeof loaded === "function") {
+    loaded = loaded({ env: process.env.NODE_ENV });
+  }
+
+  // A PostCSS config holds the plugin options under its plugin name
+  if (loaded && loaded.plugins) {
+    const entry = Array.isArray(loaded.plugins)
+      ? undefined
+      : loaded.plugins["postcss-ruler"];
+    if (entry === undefined) {
+      throw usageError(
+        `Config "${file}" has no "postcss-ruler" entry in an object of plugins`,
+      );
+    }
+    return entry === true ? {} : entry;
+  }
+
+  return loaded || {};
+};
+
+/**
+ * Removes the export option, so commands never write manifest files as a
+ * side effect
+ * @param {Object} pluginOptions - Plugin options
+ * @returns {Object} Plugin options without export
+ */
+const withoutExport = (pluginOptions) => ({
+  ...pluginOptions,
+  export: [],
+});
+
+/**
+ * Resolves the scales to show, optionally limited by --scale
+ * @param {Object} pluginOptions - Plugin options
+ * @param {string} [names] - Comma-separated scale names
+ * @returns {Object<string, Object<string, Object>>} Manifest of the scales
+ * @throws {Error} If a named scale does not exist
+ */
+const resolveManifest = (pluginOptions, names) => {
+  const manifest = plugin.resolveScales(withoutExport(pluginOptions));
+  if (!names) return manifest;
+
+  return Object.fromEntries(
+    names.split(",").map((name) => {
+      if (!manifest[name]) {
+        throw usageError(
+          `Scale "${name}" not found. Available scales: ${Object.keys(manifest).join(", ") || "none"}`,
+        );
+      }
+      return [name, manifest[name]];
+    }),
+  );
+};
+
+/**
+ * Calculates the size of a step at a viewport width, as clamp() would
+ * @param {{min: number, max: number, minWidth: number, maxWidth: number}} step -
+ *   Manifest step
+ * @param {number} width - Viewport width in pixels
+ * @returns {number} Size in pixels
+ */
+const sizeAt = ({ min, max, minWidth, maxWidth }, width) => {
+  const progress = (width - minWidth) / (maxWidth - minWidth);
+  const size = min + (max - min) * progress;
+  return Math.min(Math.max(size, Math.min(min, max)), Math.max(min, max));
+};
+
+/**
+ * Formats a pixel value with at most two decimals
+ * @param {number} px - Size in pixels
+ * @returns {string} Formatted value, e.g. "13.33px"
+ */
+const formatPx = (px) => `${parseFloat(px.toFixed(2))}px`;
+
+/**
+ * Formats the steps of each scale as a table of sizes at viewport widths
+ * @param {Object<string, Object<string, Object>>} manifest - Scales to show
+ * @param {Array<number>} widths - Viewport widths in pixels
+ * @returns {string} Plain-text tables, one per scale
+ */
+const formatTable = (manifest, widths) =>
+  Object.entries(manifest)
+    .map(([prefix, steps]) => {
+      const rows = [
+        ["property", "min", "max", ...widths.map((width) => `@${width}px`)],
+        ...orderedSteps(steps).map(([, step]) => [
+          step.property,
+          formatPx(step.min),
+          formatPx(step.max),
+          ...widths.map((width) => formatPx(sizeAt(step, width))),
+        ]),
+      ];
+      const columnWidths = rows[0].map((cell, column) =>
+        Math.max(...rows.map((row) => row[column].length)),
+      );
+
+      return [
+        prefix,
+        ...rows.map((row) =>
+          row
+            .map((cell, column) =>
+              column === 0
+                ? cell.padEnd(columnWidths[column])
+                : cell.padStart(columnWidths[column]),
+            )
+            .join("  ")
+            .trimEnd(),
+        ),
+      ].join("\n");
+    })
+    .join("\n\n");
+
+/**
+ * Parses the --widths option
+ * @param {string} [widths] - Comma-separated widths in pixels
+ * @returns {Array<number>} Widths
+ * @throws {Error} If a width is not a positive number
+ */
+const parseWidths = (widths) => {
+  if (widths === undefined) return DEFAULT_WIDTHS;
+
+  return widths.split(",").map((width) => {
+    const value = Number(width.trim().replace(/px$/, ""));
+    if (!Number.isFinite(value) || value <= 0) {
+      throw usageError(`Invalid width "${width}": expected pixels, e.g. 1024`);
+    }
+    return value;
+  });
+};
+
+/**
+ * Formats a PostCSS warning with its source position
+ * @param {Object} warning - PostCSS warning
+ * @param {string} file - File the warning belongs to
+ * @returns {string} Message, e.g. "src/a.css:3:1: ..."
+ */
+const formatWarning = (warning, file) =>
+  warning.line === undefined
+    ? `${file}: ${warning.text}`
+    : `${file}:${warning.line}:${warning.column}: ${warning.text}`;
+
+/**
+ * Writes command output to a file or stdout
+ * @param {string} contents - Output
+ * @param {string} [output] - File path; stdout when absent
+ * @param {Object} io - Output streams
+ */
+const writeOutput = (contents, output, io) => {
+  if (!output) {
+    io.stdout.write(contents.endsWith("\n") ? contents : `${contents}\n`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, contents);
+};
+
+/**
+ * Processes CSS with the plugin and reports warnings to stderr
+ * @param {string} css - Input CSS
+ * @param {Object} pluginOptions - Plugin options
+ * @param {string} [from] - Input file, for source positions
+ * @param {Object} io - Output streams
+ * @returns {Promise<string>} Output CSS
+ */
+const processCss = async (css, pluginOptions, from, io) => {
+  const result = await postcss([plugin(withoutExport(pluginOptions))]).process(
+    css,
+    { from },
+  );
+  const label = from ? path.relative(io.cwd, from) : "postcss-ruler";
+  result
+    .warnings()
+    .forEach((warning) =>
+      io.stderr.write(`${formatWarning(warning, label)}\n`),
+    );
+  return result.css;
+};
+
+/**
+ * Checks files for @ruler errors by processing them with the plugin
+ * @param {Array<string>} files - CSS files
+ * @param {Object} pluginOptions - Plugin options
+ * @param {Object} io - Output streams
+ * @returns {Promise<number>} Exit code: 1 if any file has errors
+ */
+const checkFiles = async (files, pluginOptions, io) => {
+  let failed = false;
+
+  for (const file of files) {
+    const from = path.resolve(io.cwd, file);
+    try {
+      const css = fs.readFileSync(from, "utf8");
+      await processCss(css, { ...pluginOptions, strict: true }, from, io);
+      io.stdout.write(`${file}: ok\n`);
+    } catch (err) {
+      if (
+        err.name !== "CssSyntaxError" &&
+        !err.message.startsWith("[postcss-ruler]") &&
+        err.code !== "ENOENT"
+      ) {
+        throw err;
+      }
+      failed = true;
+      io.stderr.write(
+        err.name === "CssSyntaxError"
+          ? `${path.relative(io.cwd, from)}:${err.line}:${err.column}: ${err.reason}\n`
+          : `${file}: ${err.message.replace(/^\[postcss-ruler\] /, "")}\n`,
+      );
+    }
+  }
+
+  return failed ? 1 : 0;
+};
+
+/**
+ * Runs the command-line tool
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {Object} [io] - Working directory and output streams
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (
+  argv,
+  {
+    cwd = process.cwd(),
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = {},
+) => {
+  const io = { cwd, stdout, stderr };
+
+  try {
+    const { command, files, options } = parseArgs(argv);
+    if (options.help || command === undefined) {
+      stdout.write(`${USAGE}\n`);
+      return options.help ? 0 : 1;
+    }
+
+    const output = options.output && path.resolve(cwd, options.output);
+    const pluginOptions = loadPluginOptions(options, cwd);
+
+    switch (command) {
+      case "table":
+        writeOutput(
+          formatTable(
+            resolveManifest(pluginOptions, options.scale),
+            parseWidths(options.widths),
+          ),
+          output,
+          io,
+        );
+        return 0;
+
+      case "tokens": {
+        // Check scale names up front, like table and manifest do
+        const scales = options.scale
+          ? Object.keys(resolveManifest(pluginOptions, options.scale))
+          : undefined;
+        const args = JSON.stringify({
+          scales,
+          selector: options.selector,
+          layer: options.layer,
+        });
+
+        let css;
+        try {
+          css = await processCss(
+            `@ruler tokens(${args});`,
+            pluginOptions,
+            undefined,
+            io,
+          );
+        } catch (err) {
+          // The at-rule is generated, so its position means nothing to users
+          if (err.name !== "CssSyntaxError") throw err;
+          throw usageError(err.reason);
+        }
+        writeOutput(css, output, io);
+        return 0;
+      }
+
+      case "build": {
+        if (files.length !== 1) {
+          throw usageError("build requires one input file");
+        }
+        const from = path.resolve(cwd, files[0]);
+        const css = await processCss(
+          fs.readFileSync(from, "utf8"),
+          pluginOptions,
+          from,
+          io,
+        );
+        writeOutput(css, output, io);
+        return 0;
+      }
+
+      case "manifest": {
+        const format =
+          options.format || (output && inferFormat(output)) || "json";
+        writeOutput(
+          formatManifest(resolveManifest(pluginOptions, options.scale), format),
+          output,
+          io,
+        );
+        return 0;
+      }
+
+      case "check":
+        if (files.length === 0) {
+          throw usageError("check requires at least one file");
+        }
+        return await checkFiles(files, pluginOptions, io);
+
+      default:
+        throw usageError(
+          `Unknown command "${command}". Run with --help for usage.`,
+        );
+    }
+  } catch (err) {
+    if (
+      err.name !== "CssSyntaxError" &&
+      !err.message.startsWith("[postcss-ruler]")
+    ) {
+      throw err;
+    }
+    stderr.write(`${err.message.replace(/^\[postcss-ruler\] /, "")}\n`);
+    return 1;
+  }
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, sizeAt };
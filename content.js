@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Content scanning for utilities: finds template files by glob and collects
+ * the class names and attribute values they use.
+ *
+ * Globs support `*`, `**`, `?` and `{a,b}` alternatives. `node_modules` and
+ * dot-directories are skipped unless the pattern starts inside them.
+ */
+
+// Directories skipped while walking unless the glob base is inside them
+const isSkippedDirectory = (name) =>
+  name === "node_modules" || name.startsWith(".");
+
+const escapeRegExp = (text) => text.replace(/[.+^$()|[\]\\]/g, "\\$&");
+
+/**
+ * Converts a path to forward slashes for glob matching
+ * @param {string} file - File path
+ * @returns {string} Path with "/" separators
+ */
+const toPosix = (file) => file.split(path.sep).join("/");
+
+/**
+ * Converts a glob to regular expression source. Each `{a,b}` alternative is
+ * converted as a glob of its own, so it can hold wildcards too.
+ * @param {string} glob - Glob pattern with "/" separators
+ * @returns {string} Regular expression source
+ */
+const globToSource = (glob) => {
+  let source = "";
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (char === "*" && glob[index + 1] === "*") {
+      index++;
+      if (glob[index + 1] === "/") {
+        // "**/" matches zero or more directories
+        index++;
+        source += "(?:[^/]*/)*";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{" && glob.indexOf("}", index) !== -1) {
+      const end = glob.indexOf("}", index);
+      const alternatives = glob.slice(index + 1, end).split(",");
+      source += `(?:${alternatives.map(globToSource).join("|")})`;
+      index = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Converts a glob to a regular expression matching whole paths
+ * @param {string} glob - Glob pattern with "/" separators
+ * @returns {RegExp} Regular expression
+ */
+const globToRegExp = (glob) => new RegExp(`^${globToSource(glob)}$`);
+
+/**
+ * Finds the directory a glob starts in: its leading segments without glob
+ * characters
+ * @param {string} glob - Absolute glob pattern with "/" separators
+ * @returns {string} Base directory or file
+ */
+const getGlobBase = (glob) => {
+  const segments = glob.split("/");
+  const firstGlob = segments.findIndex((segment) => /[*?{]/.test(segment));
+  return firstGlob === -1
+    ? glob
+    : segments.slice(0, firstGlob).join("/") || "/";
+};
+
+/**
+ * Lists the files below a directory
+ * @param {string} dir - Directory to walk
+ * @returns {Array<string>} Absolute file paths
+ */
+const walk = (dir) => {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  return entries.flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return isSkippedDirectory(entry.name) ? [] : walk(file);
+    }
+    return entry.isFile() ? [file] : [];
+  });
+};
+
+/**
+ * Finds the files matching content globs
+ * @param {Array<string>} patterns - Globs, relative to `cwd` or absolute
+ * @param {string} [cwd] - Directory relative globs are resolved from
+ * @returns {{files: Array<string>, globs: Array<{dir: string, glob: string}>}}
+ *   Matching files, and each glob split into its base directory and the
+ *   pattern below it (for dir-dependency messages)
+ */
+const findFiles = (patterns, cwd = process.cwd()) => {
+  const files = new Set();
+
+  const globs = patterns.map((pattern) => {
+    const glob = toPosix(path.resolve(cwd, pattern));
+    const base = getGlobBase(glob);
+    const regex = globToRegExp(glob);
+
+    let candidates = [];
+    if (fs.existsSync(base)) {
+      candidates = fs.statSync(base).isDirectory() ? walk(base) : [base];
+    }
+    candidates
+      .filter((file) => regex.test(toPosix(file)))
+      .forEach((file) => files.add(file));
+
+    return {
+      dir: base,
+      glob: glob.slice(base.length).replace(/^\//, "") || "*",
+    };
+  });
+
+  return { files: [...files].sort(), globs };
+};
+
+/**
+ * Collects the class names and attribute values used in a template
+ * @param {string} text - File contents (HTML, JSX, Astro, ...)
+ * @returns {{tokens: Set<string>, attributes: Map<string, Set<string>>}} Every
+ *   whitespace- or quote-separated token, and the values of each attribute
+ */
+const extractCandidates = (text) => {
+  const tokens = new Set(
+    text.split(/[\s"'`<>{}(),;]+/).filter((token) => token !== ""),
+  );
+
+  const attributes = new Map();
+  const attributePattern = /([\w-]+)\s*=\s*\{?\s*(["'`])([^"'`]*)\2/g;
+  let match;
+  while ((match = attributePattern.exec(text)) !== null) {
+    if (!attributes.has(match[1])) attributes.set(match[1], new Set());
+    match[3]
+      .split(/\s+/)
+      .filter((value) => value !== "")
+      .forEach((value) => attributes.get(match[1]).add(value));
+  }
+
+  return { tokens, attributes };
+};
+
+module.exports = { extractCandidates, findFiles, globToRegExp };
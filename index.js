@@ -1,4 +1,17 @@
-const CSSValueParser = require("postcss-value-parser");
+const fs = require("fs");
+const path = require("path");
+const { parseObjectLiteral } = require("./object-literal");
+const { loadTokenFile } = require("./tokens");
+const { extractCandidates, findFiles } = require("./content");
+const {
+  FORMATS,
+  createManifest,
+  formatManifest,
+  inferFormat,
+} = require("./manifest");
+
+// Scale registries of plugin instances, read by resolveScales()
+const registries = new WeakMap();
 
 /**
  * @type {import('postcss').PluginCreator}
@@ -9,19 +22,79 @@ module.exports = (opts) => {
     maxWidth: 1760,
     generateAllCrossPairs: false,
     lowSpecificity: false,
+    rootFontSize: 16,
+    unit: "rem",
+    viewportUnit: "vw",
+    strict: true,
+    checkZoom: false,
+    selector: ":root",
+    breakpoints: {},
+    containers: {},
+    negativePrefix: "-",
+    content: [],
+    safelist: [],
     scales: {},
+    export: [],
   };
   const config = Object.assign(DEFAULTS, opts);
 
-  // Storage for generated scales
-  const scales = {};
+  // Scales from the plugin config, the starting point of every file's registry
+  const configScales = {};
+
+  // Scales declared with the global scope, keyed by the file that declared
+  // them (undefined for CSS processed without a `from` path)
+  const sharedScales = new Map();
+
+  // Every scale declared in CSS, in any scope, keyed by the file that
+  // declared it; exports combine these with the config scales
+  const declaredScales = new Map();
+
+  // Scale registry of each root being processed
+  const rootScales = new WeakMap();
+
+  // Units that fluid values can be written in
+  const OUTPUT_UNITS = ["rem", "em", "px"];
+
+  // Viewport and container units the preferred value can scale with
+  const VIEWPORT_UNITS = ["vw", "vi", "svw", "lvw", "dvw", "cqw", "cqi", "cqb"];
 
   /**
-   * Converts pixels to r]em units
+   * Converts pixels to the configured output unit
    * @param {number} px - Pixel value to convert
-   * @returns {string} Rem value as string
+   * @param {Object} [options] - Output options
+   * @param {string} [options.unit="rem"] - Output unit (rem, em or px)
+   * @param {number} [options.rootFontSize=16] - Pixels per rem/em
+   * @returns {string} Value with unit as string
+   */
+  const pxToUnit = (px, { unit = "rem", rootFontSize = 16 } = {}) => {
+    const value = unit === "px" ? px : px / rootFontSize;
+    return `${parseFloat(value.toFixed(4))}${unit}`;
+  };
+
+  /**
+   * Validates output unit, root font size and viewport unit options
+   * @param {string} unit - Output unit
+   * @param {number} rootFontSize - Pixels per rem/em
+   * @param {string} viewportUnit - Unit the preferred value scales with
+   * @throws {Error} If a unit is unsupported or the root font size is not positive
    */
-  const pxToRem = (px) => `${parseFloat((px / 16).toFixed(4))}rem`;
+  const validateOutputOptions = (unit, rootFontSize, viewportUnit) => {
+    if (!VIEWPORT_UNITS.includes(viewportUnit)) {
+      throw new Error(
+        `[postcss-ruler] Invalid viewportUnit "${viewportUnit}": expected one of ${VIEWPORT_UNITS.join(", ")}`,
+      );
+    }
+    if (!OUTPUT_UNITS.includes(unit)) {
+      throw new Error(
+        `[postcss-ruler] Invalid unit "${unit}": expected one of ${OUTPUT_UNITS.join(", ")}`,
+      );
+    }
+    if (!(rootFontSize > 0)) {
+      throw new Error(
+        `[postcss-ruler] Invalid rootFontSize (${rootFontSize}): must be a positive number`,
+      );
+    }
+  };
 
   /**
    * Validates that min value is less than max value
@@ -45,465 +118,2092 @@ module.exports = (opts) => {
    * @param {number} params.maxSize - Maximum size in pixels
    * @param {number} params.minWidth - Minimum viewport width in pixels
    * @param {number} params.maxWidth - Maximum viewport width in pixels
+   * @param {string} [params.unit] - Output unit (defaults to plugin config)
+   * @param {number} [params.rootFontSize] - Pixels per rem/em (defaults to plugin config)
+   * @param {string} [params.viewportUnit] - Viewport or container unit (defaults to plugin config)
    * @returns {string} CSS clamp() function
    */
-  const calculateClamp = ({ minSize, maxSize, minWidth, maxWidth }) => {
-    // New: Allow equal values - just return rem
+  const calculateClamp = ({
+    minSize,
+    maxSize,
+    minWidth,
+    maxWidth,
+    unit = config.unit,
+    rootFontSize = config.rootFontSize,
+    viewportUnit = config.viewportUnit,
+  }) => {
+    validateOutputOptions(unit, rootFontSize, viewportUnit);
+    const output = { unit, rootFontSize };
+
+    // Allow equal values - just return a static length
     if (minSize === maxSize) {
-      return pxToRem(minSize);
+      return pxToUnit(minSize, output);
     }
 
-    validateMinMax(minSize, maxSize, "size");
     validateMinMax(minWidth, maxWidth, "width");
 
     const slope = (maxSize - minSize) / (maxWidth - minWidth);
     const intersect = -minWidth * slope + minSize;
 
-    return `clamp(${pxToRem(minSize)}, ${(slope * 100).toFixed(
+    // Shrinking ranges (maxSize < minSize) still need the smaller bound first
+    const lower = Math.min(minSize, maxSize);
+    const upper = Math.max(minSize, maxSize);
+
+    return `clamp(${pxToUnit(lower, output)}, ${(slope * 100).toFixed(
       4,
-    )}vw + ${pxToRem(intersect)}, ${pxToRem(maxSize)})`;
+    )}${viewportUnit} + ${pxToUnit(intersect, output)}, ${pxToUnit(upper, output)})`;
   };
 
-  /**
-   * Generates clamp values from pairs
-   * @param {Object} params - Generation parameters
-   * @param {Array<{name: string, values: [number, number]}>} params.pairs - Size pairs
-   * @param {number} params.minWidth - Minimum viewport width
-   * @param {number} params.maxWidth - Maximum viewport width
-   * @param {boolean} params.generateAllCrossPairs - Whether to generate cross pairs
-   * @returns {Array<{label: string, clamp: string}>} Array of clamp values
-   */
-  const generateClamps = ({
-    pairs,
-    minWidth,
-    maxWidth,
-    generateAllCrossPairs,
-  }) => {
-    let clampScales = pairs.map(({ name, values: [minSize, maxSize] }) => ({
-      label: name,
-      clamp: calculateClamp({
-        minSize,
-        maxSize,
-        minWidth,
-        maxWidth,
-      }),
-    }));
-
-    if (generateAllCrossPairs) {
-      let crossPairs = [];
-      for (let i = 0; i < pairs.length; i++) {
-        for (let j = i + 1; j < pairs.length; j++) {
-          const [smaller, larger] = [pairs[i], pairs[j]].sort(
-            (a, b) => a.values[0] - b.values[0],
-          );
-          crossPairs.push({
-            label: `${smaller.name}-${larger.name}`,
-            clamp: calculateClamp({
-              minSize: smaller.values[0],
-              maxSize: larger.values[1],
-              minWidth,
-              maxWidth,
-            }),
-          });
-        }
-      }
-      clampScales = [...clampScales, ...crossPairs];
-    }
-
-    return clampScales;
-  };
+  // Browser zoom the zoom check applies, and how much text must grow by then
+  const ZOOM_LEVEL = 5;
+  const MIN_ZOOM_GROWTH = 2;
 
   /**
-   * Pre-processes scales defined in plugin config
-   * @param {Object} configScales - Scales object from plugin options
-   */
-  const initializeConfigScales = (configScales) => {
-    Object.entries(configScales).forEach(([prefix, scaleConfig]) => {
-      const scaleOpts = {
-        minWidth: scaleConfig.minWidth || config.minWidth,
-        maxWidth: scaleConfig.maxWidth || config.maxWidth,
-        generateAllCrossPairs:
-          scaleConfig.generateAllCrossPairs ?? config.generateAllCrossPairs,
-      };
+   * Calculates the worst-case growth of a fluid value under browser zoom.
+   * Zooming shrinks the viewport in CSS pixels, so the viewport-relative part
+   * of a clamp() does not scale with zoom and steep ranges can barely grow.
+   * @param {Object} params - calculateClamp() parameters (sizes in pixels)
+   * @param {number} [zoom] - Zoom factor to check, e.g. 5 for 500%
+   * @returns {number} Smallest ratio of zoomed to unzoomed size on any screen
+   */
+  const getZoomGrowth = (
+    { minSize, maxSize, minWidth, maxWidth },
+    zoom = ZOOM_LEVEL,
+  ) => {
+    const slope = (maxSize - minSize) / (maxWidth - minWidth);
+    const intercept = minSize - slope * minWidth;
+    const lower = Math.min(minSize, maxSize);
+    const upper = Math.max(minSize, maxSize);
 
-      const clampPairs = Object.entries(scaleConfig.pairs).map(
-        ([name, values]) => ({ name, values }),
+    // Rendered size on a screen `width` px wide, at the given zoom
+    const sizeAt = (width, factor) =>
+      Math.min(
+        Math.max(factor * lower, slope * width + factor * intercept),
+        factor * upper,
       );
 
-      scales[prefix] = generateClamps({
-        pairs: clampPairs,
-        ...scaleOpts,
-      });
-    });
+    // Both sizes are piecewise linear, so the ratio peaks at their kinks
+    return Math.min(
+      ...[minWidth, maxWidth, zoom * minWidth, zoom * maxWidth].map(
+        (width) => sizeAt(width, zoom) / sizeAt(width, 1),
+      ),
+    );
   };
 
-  // Initialize scales from config (if any)
-  if (Object.keys(config.scales).length > 0) {
-    initializeConfigScales(config.scales);
-  }
-
-  /**
-   * Parses parameters from @fluid at-rule
-   * @param {Array} params - Parsed parameter nodes
-   * @returns {Object} Parsed configuration object
-   */
-  const parseAtRuleParams = (params) => {
-    const clampsParams = {
-      minWidth: config.minWidth,
-      maxWidth: config.maxWidth,
-      pairs: {},
-      prefix: "space",
-      generateAllCrossPairs: config.generateAllCrossPairs,
-    };
+  /**
+   * Checks that a fluid value still grows enough under zoom to meet
+   * WCAG 1.4.4 (Resize Text)
+   * @param {Object} params - calculateClamp() parameters (sizes in pixels)
+   * @param {string} subject - What the value is, for messages, e.g. a scale step
+   * @param {boolean|string} level - false to skip, "warn"/true or "error"
+   * @param {function(string): void} warn - Reports a warning message
+   * @throws {Error} If the check fails at the "error" level
+   */
+  const checkZoom = (params, subject, level, warn) => {
+    if (!level || params.minSize === params.maxSize) return;
+    if (Math.min(params.minSize, params.maxSize) <= 0) return;
 
-    for (let i = 0; i < params.length; i++) {
-      const param = params[i];
-      const nextParam = params[i + 1];
-      if (!param || !nextParam) continue;
-      const key = param.value;
-      let value = nextParam.value.replace(/[:,]/g, "");
-
-      switch (key) {
-        case "minWidth":
-        case "maxWidth":
-          clampsParams[key] = Number(value);
-          i++;
-          break;
-        case "prefix":
-          clampsParams.prefix = value.replace(/['"]/g, "");
-          i++;
-          break;
-        case "generateAllCrossPairs":
-          clampsParams.generateAllCrossPairs = value === "true";
-          i++;
-          break;
-      }
-    }
+    const growth = getZoomGrowth(params);
+    if (growth >= MIN_ZOOM_GROWTH) return;
 
-    return clampsParams;
+    const message = `${subject} (${params.minSize}px → ${params.maxSize}px) only grows ${parseFloat(growth.toFixed(2))}× at ${ZOOM_LEVEL * 100}% zoom, at least ${MIN_ZOOM_GROWTH}× is needed for WCAG 1.4.4. Narrow the size range or widen the viewport range.`;
+    if (level === "error") {
+      throw new Error(`[postcss-ruler] ${message}`);
+    }
+    warn(message);
   };
 
   /**
-   * Extracts pairs from parsed parameters
-   * @param {Array} params - Parsed parameter nodes
-   * @returns {Object} Pairs object with name: [min, max] entries
+   * Rounds a pixel value to two decimal places
+   * @param {number} px - Pixel value to round
+   * @returns {number} Rounded pixel value
    */
-  const extractPairs = (params) => {
-    const pairs = {};
-    const pairsStartIndex = params.findIndex((x) => x.value === "pairs");
-
-    if (pairsStartIndex === -1) return pairs;
+  const roundPx = (px) => parseFloat(px.toFixed(2));
 
-    let currentName = null;
-    let currentValues = [];
+  /**
+   * Generates size pairs from a modular (ratio-based) scale definition
+   * @param {Object} params - Modular scale parameters
+   * @param {[number, number]} params.base - Base size at min and max viewport
+   * @param {number|[number, number]} params.ratio - Ratio at min and max viewport
+   * @param {[number, number]} params.steps - Inclusive step range, e.g. [-2, 5]
+   * @param {Object<string, [number, number]>} [params.overrides] - Per-step size overrides
+   * @returns {Array<{name: string, values: [number, number]}>} Size pairs
+   * @throws {Error} If the definition is incomplete or invalid
+   */
+  const generateModularPairs = ({ base, ratio, steps, overrides = {} }) => {
+    const [minRatio, maxRatio] = Array.isArray(ratio) ? ratio : [ratio, ratio];
+    const [fromStep, toStep] = steps || [];
 
-    for (let i = pairsStartIndex + 1; i < params.length; i++) {
-      const param = params[i];
-      const value = param.value.replace("[", "").replace("]", "");
-      if (!value || value === "[" || value === "]") continue;
+    if (!Array.isArray(base) || base.length !== 2 || base.some(isNaN)) {
+      throw new Error(
+        "[postcss-ruler] Modular scale requires a base of [minSize, maxSize]",
+      );
+    }
+    if (!(minRatio > 0) || !(maxRatio > 0)) {
+      throw new Error(
+        "[postcss-ruler] Modular scale requires a positive ratio or [minRatio, maxRatio]",
+      );
+    }
+    if (!Number.isInteger(fromStep) || !Number.isInteger(toStep)) {
+      throw new Error(
+        "[postcss-ruler] Modular scale requires steps as [fromStep, toStep] integers",
+      );
+    }
+    if (fromStep > toStep) {
+      throw new Error(
+        `[postcss-ruler] Invalid steps: from (${fromStep}) must not be greater than to (${toStep})`,
+      );
+    }
 
-      if (param.type === "string") {
-        if (currentName && currentValues.length === 2) {
-          pairs[currentName] = currentValues;
-        }
-        currentName = value;
-        currentValues = [];
-      } else {
-        const numValue = Number(value);
-        if (!isNaN(numValue)) currentValues.push(numValue);
+    Object.keys(overrides).forEach((step) => {
+      const stepNumber = Number(step);
+      if (
+        !Number.isInteger(stepNumber) ||
+        stepNumber < fromStep ||
+        stepNumber > toStep
+      ) {
+        throw new Error(
+          `[postcss-ruler] Override step "${step}" is outside the step range (${fromStep}..${toStep})`,
+        );
       }
+    });
 
-      if (currentName && currentValues.length === 2) {
-        pairs[currentName] = currentValues;
-      }
+    const pairs = [];
+    for (let step = fromStep; step <= toStep; step++) {
+      const name = String(step);
+      pairs.push({
+        name,
+        values: overrides[name] || [
+          roundPx(base[0] * Math.pow(minRatio, step)),
+          roundPx(base[1] * Math.pow(maxRatio, step)),
+        ],
+      });
     }
 
     return pairs;
   };
 
   /**
-   * Parses parameters from @ruler utility() at-rule
-   * @param {Array} params - Parsed parameter nodes
-   * @returns {Object} Parsed configuration object
+   * Selects the steps to combine into cross pairs
+   * @param {Array<{name: string, values: [number, number]}>} pairs - Size pairs
+   * @param {?string|Array<[string, string]>} strategy - "all", "adjacent"
+   *   (each step with the next one), "none", or explicit pairs of step names
+   * @returns {Array<[Object, Object]>} Pairs of size pairs to combine
+   * @throws {Error} On an unknown strategy or step name
    */
-  const parseUtilityParams = (params) => {
-    const utilityParams = {
-      selector: null,
-      property: null,
-      scale: null,
-      generateAllCrossPairs: null,
-      attribute: null,
-      lowSpecificity: null,
-    };
+  const selectCrossPairs = (pairs, strategy) => {
+    if (!strategy || strategy === "none") return [];
 
-    for (let i = 0; i < params.length; i++) {
-      const param = params[i];
-      const nextParam = params[i + 1];
-      if (!param || !nextParam) continue;
-      const key = param.value;
-      let value = nextParam.value.replace(/[:,]/g, "");
-
-      switch (key) {
-        case "selector":
-        case "scale":
-        case "attribute":
-          utilityParams[key] = value.replace(/['"]/g, "");
-          i++;
-          break;
-        case "property":
-          // Check if it's an array (next token is '[')
-          if (nextParam.value === "[") {
-            // It's an array - collect values until we hit ']'
-            const arrayValues = [];
-            i += 2; // Skip 'property' and '['
-            while (i < params.length && params[i].value !== "]") {
-              if (params[i].type === "string") {
-                arrayValues.push(params[i].value);
-              }
-              i++;
-            }
-            utilityParams.property = arrayValues;
-          } else {
-            // Single value
-            utilityParams.property = value.replace(/['"]/g, "");
-            i++;
+    if (strategy === "all") {
+      return pairs.flatMap((pair, i) =>
+        pairs.slice(i + 1).map((other) => [pair, other]),
+      );
+    }
+    if (strategy === "adjacent") {
+      return pairs.slice(1).map((pair, i) => [pairs[i], pair]);
+    }
+    if (Array.isArray(strategy)) {
+      return strategy.map((names) =>
+        names.map((name) => {
+          const pair = pairs.find((candidate) => candidate.name === name);
+          if (!pair) {
+            throw new Error(
+              `[postcss-ruler] Cross pair step "${name}" not found. Available steps: ${pairs.map((candidate) => candidate.name).join(", ")}`,
+            );
           }
-          break;
-        case "generateAllCrossPairs":
-          utilityParams.generateAllCrossPairs = value === "true";
-          i++;
-          break;
-        case "lowSpecificity":
-          utilityParams.lowSpecificity = value === "true";
-          i++;
-          break;
-      }
+          return pair;
+        }),
+      );
     }
 
-    return utilityParams;
+    throw new Error(
+      `[postcss-ruler] Invalid crossPairs "${strategy}": expected "all", "adjacent", "none" or a list of [step, step] pairs`,
+    );
   };
 
   /**
-   * Processes @fluid at-rule and generates CSS custom properties
-   * @param {Object} atRule - PostCSS at-rule node
+   * Generates clamp values from pairs or a modular scale definition
+   * @param {Object} params - Generation parameters
+   * @param {Array<{name: string, values: [number, number]}>} [params.pairs] - Size pairs
+   * @param {[number, number]} [params.base] - Modular base size (used when no pairs are given)
+   * @param {number|[number, number]} [params.ratio] - Modular ratio
+   * @param {[number, number]} [params.steps] - Modular step range
+   * @param {Object<string, [number, number]>} [params.overrides] - Modular per-step overrides
+   * @param {number} params.minWidth - Minimum viewport width
+   * @param {number} params.maxWidth - Maximum viewport width
+   * @param {boolean} params.generateAllCrossPairs - Whether to generate all cross pairs
+   * @param {string|Array<[string, string]>} [params.crossPairs] - Cross pair
+   *   strategy (see selectCrossPairs()), taking precedence over generateAllCrossPairs
+   * @param {string} [params.unit] - Output unit
+   * @param {number} [params.rootFontSize] - Pixels per rem/em
+   * @param {string} [params.viewportUnit] - Viewport or container unit
+   * @returns {Array<{label: string, clamp: string, params: Object, crossPair: boolean}>}
+   *   Array of clamp values with the calculateClamp() parameters each value was
+   *   built from, and whether it is a cross pair
    */
-  const processFluidAtRule = (atRule) => {
-    const { nodes } = CSSValueParser(atRule.params);
-    const params = nodes[0].nodes.filter(
-      (x) =>
-        ["word", "string"].includes(x.type) &&
-        x.value !== "{" &&
-        x.value !== "}",
-    );
-
-    const clampsParams = parseAtRuleParams(params);
-    clampsParams.pairs = extractPairs(params);
-
-    if (Object.keys(clampsParams.pairs).length === 0) {
-      throw new Error("[postcss-ruler] No pairs defined in @ruler scale()");
+  const generateClamps = ({
+    pairs,
+    base,
+    ratio,
+    steps,
+    overrides,
+    minWidth,
+    maxWidth,
+    generateAllCrossPairs,
+    crossPairs,
+    unit,
+    rootFontSize,
+    viewportUnit,
+  }) => {
+    if (!pairs) {
+      pairs = generateModularPairs({ base, ratio, steps, overrides });
     }
 
-    const clampPairs = Object.entries(clampsParams.pairs).map(
-      ([name, values]) => ({ name, values }),
+    /**
+     * Builds a scale entry from a label and its min/max sizes
+     * @param {string} label - Step label
+     * @param {number} minSize - Minimum size in pixels
+     * @param {number} maxSize - Maximum size in pixels
+     * @param {boolean} crossPair - Whether the entry combines two steps
+     * @returns {{label: string, clamp: string, params: Object, crossPair: boolean}} Scale entry
+     */
+    const createEntry = (label, minSize, maxSize, crossPair) => {
+      const params = {
+        minSize,
+        maxSize,
+        minWidth,
+        maxWidth,
+        unit,
+        rootFontSize,
+        viewportUnit,
+      };
+      return { label, clamp: calculateClamp(params), params, crossPair };
+    };
+
+    const clampScales = pairs.map(({ name, values: [minSize, maxSize] }) =>
+      createEntry(name, minSize, maxSize, false),
     );
-    const clampScale = generateClamps({
-      ...clampsParams,
-      pairs: clampPairs,
+
+    const crossPairEntries = selectCrossPairs(
+      pairs,
+      crossPairs ?? (generateAllCrossPairs ? "all" : null),
+    ).map((combination) => {
+      const [smaller, larger] = [...combination].sort(
+        (a, b) => a.values[0] - b.values[0],
+      );
+      return createEntry(
+        `${smaller.name}-${larger.name}`,
+        smaller.values[0],
+        larger.values[1],
+        true,
+      );
     });
 
-    // Store the scale for later use by utility classes
-    scales[clampsParams.prefix] = clampScale;
+    return [...clampScales, ...crossPairEntries];
+  };
 
-    const postcss = require("postcss");
-    const root = postcss.root();
+  // Accepted types for each @ruler scale() / config.scales option
+  const SCALE_OPTIONS = {
+    prefix: ["string"],
+    minWidth: ["number"],
+    maxWidth: ["number"],
+    generateAllCrossPairs: ["boolean"],
+    crossPairs: ["string", "stepPairs"],
+    extends: ["string"],
+    multiply: ["number", "numberPair"],
+    offset: ["number", "numberPair"],
+    drop: ["stringArray"],
+    pairs: ["pairs"],
+    base: ["numberPair"],
+    ratio: ["number", "numberPair"],
+    steps: ["numberPair"],
+    overrides: ["pairs"],
+    unit: ["string"],
+    rootFontSize: ["number"],
+    viewportUnit: ["string"],
+    checkZoom: ["checkZoom"],
+    selector: ["string"],
+    layer: ["string"],
+    scope: ["string"],
+  };
 
-    clampScale.forEach((step) => {
-      root.append(
-        postcss.decl({
-          prop: `--${clampsParams.prefix}-${step.label}`,
-          value: step.clamp,
-        }),
-      );
-    });
+  // Accepted types for each @ruler utility() option
+  const UTILITY_OPTIONS = {
+    selector: ["string"],
+    property: ["string", "stringArray", "propertyMap"],
+    scale: ["string"],
+    generateAllCrossPairs: ["boolean"],
+    attribute: ["string"],
+    lowSpecificity: ["boolean"],
+    viewportUnit: ["string"],
+    layer: ["string"],
+    breakpoints: ["boolean", "stringArray"],
+    states: ["stringArray"],
+    axes: ["string"],
+    negative: ["boolean"],
+    negativePrefix: ["string"],
+    valueMode: ["string"],
+    only: ["stringArray"],
+    exclude: ["stringArray"],
+  };
 
-    atRule.replaceWith(root.nodes);
+  // Accepted types for each @ruler tokens() option
+  const TOKENS_OPTIONS = {
+    scales: ["stringArray"],
+    selector: ["string"],
+    layer: ["string"],
   };
 
-  /**
-   * Processes @ruler utility() at-rule and generates utility classes
-   * @param {Object} atRule - PostCSS at-rule node
-   */
-  const processUtilityAtRule = (atRule) => {
-    const postcss = require("postcss");
-    const { nodes } = CSSValueParser(atRule.params);
-    const params = nodes[0].nodes.filter(
-      (x) =>
-        ["word", "string", "function"].includes(x.type) &&
-        x.value !== "{" &&
-        x.value !== "}",
-    );
+  // Type guards used by option validation
+  const isNumber = (value) =>
+    typeof value === "number" && Number.isFinite(value);
+  const isNumberPair = (value) =>
+    Array.isArray(value) && value.length === 2 && value.every(isNumber);
+  const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
 
-    const utilityParams = parseUtilityParams(params);
+  // Type checks and their descriptions for option validation errors
+  const OPTION_TYPES = {
+    number: { test: isNumber, description: "a number" },
+    string: {
+      test: (value) => typeof value === "string",
+      description: "a string",
+    },
+    boolean: {
+      test: (value) => typeof value === "boolean",
+      description: "a boolean",
+    },
+    numberPair: { test: isNumberPair, description: "a [number, number] pair" },
+    stepPairs: {
+      test: (value) =>
+        Array.isArray(value) &&
+        value.every(
+          (pair) =>
+            Array.isArray(pair) &&
+            pair.length === 2 &&
+            pair.every((name) => typeof name === "string"),
+        ),
+      description: "a list of [step, step] pairs",
+    },
+    stringArray: {
+      test: (value) =>
+        Array.isArray(value) && value.every((x) => typeof x === "string"),
+      description: "an array of strings",
+    },
+    pairs: {
+      test: (value) =>
+        isPlainObject(value) && Object.values(value).every(isNumberPair),
+      description: 'an object of "name": [min, max] pairs',
+    },
+    checkZoom: {
+      test: (value) => [true, false, "warn", "error"].includes(value),
+      description: 'true, false, "warn" or "error"',
+    },
+    propertyMap: {
+      test: (value) =>
+        isPlainObject(value) &&
+        Object.values(value).every(
+          (property) =>
+            typeof property === "string" ||
+            (Array.isArray(property) &&
+              property.every((x) => typeof x === "string")),
+        ),
+      description: 'an object of "suffix": property pairs',
+    },
+    safelist: {
+      test: (value) =>
+        Array.isArray(value) &&
+        value.every(
+          (entry) => typeof entry === "string" || entry instanceof RegExp,
+        ),
+      description: "an array of strings or regular expressions",
+    },
+    breakpoints: {
+      test: (value) =>
+        isPlainObject(value) &&
+        Object.values(value).every(
+          (width) =>
+            (isNumber(width) && width >= 0) ||
+            (typeof width === "string" && width.trim() !== ""),
+        ),
+      description: 'an object of "name": width pairs',
+    },
+  };
 
-    // Resolve lowSpecificity from config if not explicitly set
-    if (utilityParams.lowSpecificity === null) {
-      utilityParams.lowSpecificity = config.lowSpecificity;
+  /**
+   * Validates an options object against an option schema
+   * @param {Object} options - Options to validate
+   * @param {Object<string, Array<string>>} schema - Accepted types per option
+   * @param {string} context - Context for error messages, e.g. "@ruler scale()"
+   * @throws {Error} On unknown options or values of the wrong type
+   */
+  const validateOptions = (options, schema, context) => {
+    if (!isPlainObject(options)) {
+      throw new Error(`[postcss-ruler] ${context} options must be an object`);
     }
 
-    // Validate attribute-specific constraints first
-    if (utilityParams.attribute !== null) {
-      if (utilityParams.attribute === "") {
+    Object.entries(options).forEach(([key, value]) => {
+      const types = schema[key];
+      if (!types) {
         throw new Error(
-          "[postcss-ruler] @ruler utility() attribute parameter cannot be empty",
+          `[postcss-ruler] Unknown ${context} option "${key}". Expected one of: ${Object.keys(schema).join(", ")}`,
         );
       }
-      if (!/^[a-zA-Z0-9_-]+$/.test(utilityParams.attribute)) {
+      if (!types.some((type) => OPTION_TYPES[type].test(value))) {
+        const expected = types
+          .map((type) => OPTION_TYPES[type].description)
+          .join(" or ");
         throw new Error(
-          "[postcss-ruler] @ruler utility() attribute parameter must contain only letters, numbers, hyphens, and underscores",
+          `[postcss-ruler] ${context} option "${key}" must be ${expected}, got ${JSON.stringify(value)}`,
         );
       }
+    });
+  };
+
+  // Accepted types for plugin options that are validated up front
+  const PLUGIN_OPTIONS = {
+    checkZoom: SCALE_OPTIONS.checkZoom,
+    selector: SCALE_OPTIONS.selector,
+    layer: SCALE_OPTIONS.layer,
+    utilityLayer: ["string"],
+    layerOrder: ["stringArray"],
+    breakpoints: ["breakpoints"],
+    containers: ["breakpoints"],
+    negativePrefix: UTILITY_OPTIONS.negativePrefix,
+    valueMode: UTILITY_OPTIONS.valueMode,
+    content: ["string", "stringArray"],
+    safelist: ["safelist"],
+    scope: SCALE_OPTIONS.scope,
+  };
+
+  validateOptions(
+    Object.fromEntries(
+      Object.keys(PLUGIN_OPTIONS)
+        .filter((key) => config[key] !== undefined)
+        .map((key) => [key, config[key]]),
+    ),
+    PLUGIN_OPTIONS,
+    "plugin",
+  );
+
+  /**
+   * Parses and validates the object literal argument of a @ruler at-rule
+   * @param {Object} atRule - PostCSS at-rule node
+   * @param {Object<string, Array<string>>} schema - Accepted types per option
+   * @returns {Object} Parsed options
+   * @throws {Error} On syntax errors, unknown options or wrong types
+   */
+  const parseAtRuleOptions = (atRule, schema) => {
+    const params = atRule.raws.params ? atRule.raws.params.raw : atRule.params;
+    // Unbalanced brackets can make PostCSS keep the trailing semicolon
+    const match = /^\s*([\w-]+)\(([\s\S]*)\)\s*;?\s*$/.exec(params);
+    const context = `@ruler ${params.trim().split("(")[0]}()`;
+
+    if (!match || match[2].trim() === "") {
+      throw new Error(`[postcss-ruler] ${context} requires an options object`);
     }
 
-    // Validate required parameters
-    if (!utilityParams.selector && !utilityParams.attribute) {
-      throw new Error(
-        '[postcss-ruler] @ruler utility() requires either "selector" or "attribute" parameter',
+    // Index of the object literal within the at-rule's source text
+    const argsIndex =
+      1 +
+      atRule.name.length +
+      (atRule.raws.afterName || "").length +
+      params.indexOf("(") +
+      1;
+    const start =
+      atRule.source && atRule.source.input
+        ? atRule.positionInside(argsIndex)
+        : undefined;
+
+    let options;
+    try {
+      options = parseObjectLiteral(match[2], start);
+    } catch (err) {
+      throw Object.assign(
+        new Error(
+          `[postcss-ruler] Invalid ${context} arguments: ${err.message}`,
+        ),
+        {
+          reason: `Invalid ${context} arguments: ${err.reason}`,
+          index: argsIndex + err.index,
+        },
       );
     }
-    if (!utilityParams.property) {
+
+    validateOptions(options, schema, context);
+    return options;
+  };
+
+  /**
+   * Derives the options of a scale that extends another from the registry:
+   * the parent's steps, minus dropped ones, multiplied and offset, then
+   * overridden or extended by the scale's own pairs. Output options such as
+   * minWidth and unit are inherited unless set.
+   * @param {Object} scaleConfig - Scale options with `extends`
+   * @param {Object<string, Array<Object>>} registry - Scales the parent is looked up in
+   * @returns {Object} Scale options with the derived pairs as an ordered
+   *   `[{name, values}]` array, so numeric labels keep the parent's order
+   * @throws {Error} If the parent or a dropped step does not exist
+   */
+  const deriveScaleConfig = (scaleConfig, registry) => {
+    const {
+      extends: parentName,
+      multiply = 1,
+      offset = 0,
+      drop = [],
+      pairs = {},
+      ...options
+    } = scaleConfig;
+
+    const parent = registry[parentName];
+    if (!parent) {
       throw new Error(
-        '[postcss-ruler] @ruler utility() requires a "property" parameter',
+        `[postcss-ruler] Scale "${parentName}" to extend not found. Define it before the scales that extend it.`,
       );
     }
-    if (!utilityParams.scale) {
+    if (options.base !== undefined) {
       throw new Error(
-        '[postcss-ruler] @ruler utility() requires a "scale" parameter',
+        "[postcss-ruler] A scale with extends cannot also define a modular base",
       );
     }
 
-    // Check if scale exists
-    const scale = scales[utilityParams.scale];
-    if (!scale) {
-      throw new Error(
-        `[postcss-ruler] Scale "${utilityParams.scale}" not found. Define it with @ruler scale() first.`,
-      );
-    }
+    const steps = parent.filter((entry) => !entry.crossPair);
+    drop.forEach((label) => {
+      if (!steps.some((entry) => entry.label === label)) {
+        throw new Error(
+          `[postcss-ruler] Cannot drop step "${label}": not found in scale "${parentName}". Available steps: ${steps.map((entry) => entry.label).join(", ")}`,
+        );
+      }
+    });
 
-    // Determine which scale items to use
-    let scaleItems = scale;
-    if (utilityParams.generateAllCrossPairs === false) {
-      // Filter out cross-pairs (items with hyphens in label)
-      scaleItems = scale.filter((item) => !item.label.includes("-"));
-    }
-
-    // Normalize property to array
-    const properties = Array.isArray(utilityParams.property)
-      ? utilityParams.property
-      : [utilityParams.property];
-
-    // Generate utility classes as PostCSS nodes
-    const rules = scaleItems.map((item) => {
-      let ruleSelector;
-      let ruleValue;
-
-      if (utilityParams.attribute) {
-        // Attribute mode: [data-attr="value"] or .class[data-attr="value"]
-        const attrSelector = `[${utilityParams.attribute}="${item.label}"]`;
-        const baseSelector = utilityParams.selector
-          ? `${utilityParams.selector}${attrSelector}`
-          : attrSelector;
-        ruleSelector = utilityParams.lowSpecificity
-          ? `:where(${baseSelector})`
-          : baseSelector;
-        ruleValue = `var(--${utilityParams.scale}-${item.label})`;
-      } else {
-        // Class mode (existing behavior)
-        const baseSelector = `${utilityParams.selector}-${item.label}`;
-
-        // Handle parent context selectors (e.g., ".container &")
-        if (utilityParams.lowSpecificity) {
-          if (utilityParams.selector.endsWith(" &")) {
-            // Parent context: ".container &" -> ".container :where(&-xs)"
-            const parentPart = utilityParams.selector.slice(0, -1); // Remove trailing "&"
-            ruleSelector = `${parentPart}:where(&-${item.label})`;
-          } else {
-            // Regular selector: wrap entire selector
-            ruleSelector = `:where(${baseSelector})`;
-          }
-        } else {
-          ruleSelector = baseSelector;
-        }
+    const [minFactor, maxFactor] = Array.isArray(multiply)
+      ? multiply
+      : [multiply, multiply];
+    const [minOffset, maxOffset] = Array.isArray(offset)
+      ? offset
+      : [offset, offset];
 
-        ruleValue = item.clamp;
-      }
+    // Overrides replace inherited steps in place, additions go last
+    const derivedPairs = steps
+      .filter((entry) => !drop.includes(entry.label))
+      .map(({ label, params }) => ({
+        name: label,
+        values: Object.prototype.hasOwnProperty.call(pairs, label)
+          ? pairs[label]
+          : [
+              roundPx(params.minSize * minFactor + minOffset),
+              roundPx(params.maxSize * maxFactor + maxOffset),
+            ],
+      }));
+    Object.entries(pairs)
+      .filter(([name]) => !derivedPairs.some((pair) => pair.name === name))
+      .forEach(([name, values]) => derivedPairs.push({ name, values }));
 
-      const rule = postcss.rule({ selector: ruleSelector });
+    const inherited = steps.length > 0 ? steps[0].params : {};
+    return {
+      minWidth: inherited.minWidth,
+      maxWidth: inherited.maxWidth,
+      unit: inherited.unit,
+      rootFontSize: inherited.rootFontSize,
+      viewportUnit: inherited.viewportUnit,
+      ...options,
+      pairs: derivedPairs,
+    };
+  };
 
-      properties.forEach((prop) => {
-        rule.append(postcss.decl({ prop, value: ruleValue }));
-      });
+  /**
+   * Builds a scale from scale options, falling back to plugin config
+   * @param {Object} scaleConfig - Scale options (pairs or modular definition)
+   * @param {string} prefix - Scale prefix, for zoom check messages
+   * @param {function(string): void} warn - Reports zoom check warnings
+   * @param {Object<string, Array<Object>>} [registry] - Scales that `extends`
+   *   is resolved from
+   * @returns {Array<{label: string, clamp: string, params: Object, crossPair: boolean}>}
+   *   Scale entries
+   */
+  const buildScale = (scaleConfig, prefix, warn, registry = configScales) => {
+    if (scaleConfig.extends !== undefined) {
+      scaleConfig = deriveScaleConfig(scaleConfig, registry);
+    }
+
+    const clampPairs = Array.isArray(scaleConfig.pairs)
+      ? scaleConfig.pairs
+      : scaleConfig.pairs
+        ? Object.entries(scaleConfig.pairs).map(([name, values]) => ({
+            name,
+            values,
+          }))
+        : undefined;
 
-      return rule;
+    const entries = generateClamps({
+      pairs: clampPairs,
+      base: scaleConfig.base,
+      ratio: scaleConfig.ratio,
+      steps: scaleConfig.steps,
+      overrides: scaleConfig.overrides,
+      minWidth: scaleConfig.minWidth ?? config.minWidth,
+      maxWidth: scaleConfig.maxWidth ?? config.maxWidth,
+      generateAllCrossPairs:
+        scaleConfig.generateAllCrossPairs ?? config.generateAllCrossPairs,
+      crossPairs: scaleConfig.crossPairs,
+      unit: scaleConfig.unit ?? config.unit,
+      rootFontSize: scaleConfig.rootFontSize ?? config.rootFontSize,
+      viewportUnit: scaleConfig.viewportUnit ?? config.viewportUnit,
     });
 
-    atRule.replaceWith(rules);
+    entries.forEach(({ label, params }) =>
+      checkZoom(
+        params,
+        `Scale "${prefix}" step "${label}"`,
+        scaleConfig.checkZoom ?? config.checkZoom,
+        warn,
+      ),
+    );
+
+    return entries;
   };
 
-  /**
-   * Processes inline fluid functions in declarations
-   * @param {Object} decl - PostCSS declaration node
-   */
-  const processFluidDeclaration = (decl) => {
-    const regex = /ruler\.fluid\(([^)]+)\)/g;
-    let newValue = decl.value;
-    let match;
+  // Token files loaded from config, keyed by absolute path, with their mtime
+  const configTokenFiles = new Map();
 
-    while ((match = regex.exec(decl.value)) !== null) {
-      const args = match[1]
-        .split(",")
-        .map((s) => s.trim())
-        .map(Number);
-      let [minSize, maxSize, minWidth, maxWidth] = args;
+  // Zoom check warnings from config scales, reported on the next run
+  const configWarnings = [];
 
-      minWidth = minWidth || config.minWidth;
-      maxWidth = maxWidth || config.maxWidth;
+  /**
+   * Validates and builds a set of scales into a registry. Scales that
+   * extend another scale of the same set are built after their parent.
+   * @param {Object<string, Object>} scaleConfigs - Scale options keyed by prefix
+   * @param {Object<string, Array<Object>>} registry - Registry to add the scales to
+   * @param {function(string): string} getContext - Context for error messages
+   * @param {function(string): void} warn - Reports zoom check warnings
+   * @returns {Array<string>} Prefixes of the registered scales
+   * @throws {Error} On invalid options or circular extends
+   */
+  const registerScales = (scaleConfigs, registry, getContext, warn) => {
+    const built = new Set();
 
-      if (!minSize || !maxSize) {
+    const register = (prefix, chain) => {
+      if (built.has(prefix)) return;
+      if (chain.includes(prefix)) {
         throw new Error(
-          "[postcss-ruler] ruler.fluid() requires minSize and maxSize",
+          `[postcss-ruler] Circular scale extends: ${[...chain, prefix].join(" → ")}`,
         );
       }
 
-      const clampValue = calculateClamp({
-        minSize,
-        maxSize,
-        minWidth,
-        maxWidth,
-      });
+      const scaleConfig = scaleConfigs[prefix];
+      validateOptions(scaleConfig, SCALE_OPTIONS, getContext(prefix));
+      if (
+        scaleConfig.extends !== undefined &&
+        Object.prototype.hasOwnProperty.call(scaleConfigs, scaleConfig.extends)
+      ) {
+        register(scaleConfig.extends, [...chain, prefix]);
+      }
 
-      newValue = newValue.replace(match[0], clampValue);
-    }
+      registry[prefix] = buildScale(scaleConfig, prefix, warn, registry);
+      built.add(prefix);
+    };
 
-    if (newValue !== decl.value) {
-      decl.value = newValue;
-    }
+    Object.keys(scaleConfigs).forEach((prefix) => register(prefix, []));
+    return Object.keys(scaleConfigs);
   };
 
-  return {
-    postcssPlugin: "ruler",
-    AtRule: {
-      ruler: (atRule) => {
-        if (atRule.params.startsWith("scale(")) {
-          return processFluidAtRule(atRule);
-        } else if (atRule.params.startsWith("utility(")) {
-          return processUtilityAtRule(atRule);
-        }
-      },
-    },
-    Declaration(decl) {
-      processFluidDeclaration(decl);
-    },
+  /**
+   * Loads scales from a design token file into a registry
+   * @param {string} file - Absolute path to the token file
+   * @param {Object<string, Array<Object>>} registry - Registry to add the scales to
+   * @param {function(string): void} warn - Reports zoom check warnings
+   * @returns {Array<string>} Prefixes of the registered scales
+   */
+  const registerTokenFile = (file, registry, warn) =>
+    registerScales(
+      loadTokenFile(file, { rootFontSize: config.rootFontSize }),
+      registry,
+      (prefix) => `token file scale "${prefix}"`,
+      warn,
+    );
+
+  /**
+   * Pre-processes scales defined in plugin config
+   * @param {Object|string|Array<Object|string>} scaleSources - Scales object,
+   *   token file path, or a list of either, from plugin options
+   */
+  const initializeConfigScales = (scaleSources) => {
+    const sources = Array.isArray(scaleSources) ? scaleSources : [scaleSources];
+    const warn = (message) => configWarnings.push(message);
+
+    sources.forEach((source) => {
+      if (typeof source === "string") {
+        const file = path.resolve(source);
+        registerTokenFile(file, configScales, warn);
+        configTokenFiles.set(file, fs.statSync(file).mtimeMs);
+        return;
+      }
+
+      registerScales(
+        source,
+        configScales,
+        (prefix) => `config.scales.${prefix}`,
+        warn,
+      );
+    });
   };
-};
 
-module.exports.postcss = true;
+  // Initialize scales from config (if any)
+  initializeConfigScales(config.scales);
+
+  /**
+   * Normalizes the export option into a list of files and formats
+   * @param {string|Object|Array<string|Object>} exportOption - File path,
+   *   `{ file, format }` object, or a list of either
+   * @returns {Array<{file: string, format: string}>} Export targets
+   * @throws {Error} If a target has no file or an unknown format
+   */
+  const normalizeExportTargets = (exportOption) =>
+    (Array.isArray(exportOption) ? exportOption : [exportOption]).map(
+      (target) => {
+        const { file, format } =
+          typeof target === "string" ? { file: target } : target;
+        if (typeof file !== "string" || file === "") {
+          throw new Error(
+            '[postcss-ruler] Each export target requires a "file" path',
+          );
+        }
+
+        const resolvedFormat = format || inferFormat(file);
+        if (!FORMATS.includes(resolvedFormat)) {
+          throw new Error(
+            `[postcss-ruler] Cannot export "${file}": format must be one of ${FORMATS.join(", ")}`,
+          );
+        }
+
+        return { file: path.resolve(file), format: resolvedFormat };
+      },
+    );
+
+  const exportTargets = normalizeExportTargets(config.export);
+
+  /**
+   * Writes the config scales and the scales declared by every processed file
+   * to each export target, skipping files whose contents are unchanged so
+   * watchers aren't retriggered
+   */
+  const writeExports = () => {
+    if (exportTargets.length === 0) return;
+
+    const manifest = createManifest(
+      Object.assign({}, configScales, ...declaredScales.values()),
+    );
+    exportTargets.forEach(({ file, format }) => {
+      const contents = formatManifest(manifest, format);
+      if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === contents) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, contents);
+    });
+  };
+
+  /**
+   * Registers a file as a dependency so watch mode rebuilds when it changes
+   * @param {Object} result - PostCSS result
+   * @param {string} file - Absolute path to the file
+   */
+  const addDependency = (result, file) => {
+    result.messages.push({
+      type: "dependency",
+      plugin: "postcss-ruler",
+      file,
+      parent: result.opts.from,
+    });
+  };
+
+  /**
+   * Reads a file's modification time
+   * @param {string} file - Absolute path
+   * @returns {?number} Modification time, or null if the file is missing
+   */
+  const getMtime = (file) => {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Re-reads config token files that changed, were moved or were deleted
+   * since they were loaded, and registers them as dependencies of the
+   * current result
+   * @param {Object} result - PostCSS result
+   * @throws {Error} If a token file can no longer be loaded, in strict mode
+   */
+  const refreshConfigTokenFiles = (result) => {
+    const tracked = [...configTokenFiles.keys()];
+    const changed = [...configTokenFiles].some(
+      ([file, mtimeMs]) => getMtime(file) !== mtimeMs,
+    );
+    if (changed) {
+      // Start over so scales removed from a token file don't linger
+      configTokenFiles.clear();
+      Object.keys(configScales).forEach(
+        (prefix) => delete configScales[prefix],
+      );
+      try {
+        initializeConfigScales(config.scales);
+      } catch (err) {
+        // Keep watching the files, marked so the next run retries the load
+        tracked.forEach((file) => configTokenFiles.set(file, undefined));
+        if (!err.message.startsWith("[postcss-ruler]") || config.strict) {
+          throw err;
+        }
+        result.warn(err.message.replace(/^\[postcss-ruler\] /, ""), {
+          plugin: "postcss-ruler",
+        });
+      }
+    }
+
+    configTokenFiles.forEach((mtimeMs, file) => addDependency(result, file));
+    configWarnings
+      .splice(0)
+      .forEach((message) => result.warn(message, { plugin: "postcss-ruler" }));
+  };
+
+  /**
+   * Starts a root's scale registry from the config scales and the scales
+   * other files share. Scales this file shared on a previous run are dropped
+   * first, so a rebuild only sees the scales the file still declares.
+   * @param {Object} root - PostCSS root node
+   * @param {Object} result - PostCSS result
+   */
+  const initializeRootScales = (root, result) => {
+    sharedScales.delete(result.opts.from);
+    declaredScales.delete(result.opts.from);
+    rootScales.set(
+      root.proxyOf,
+      Object.assign({}, configScales, ...sharedScales.values()),
+    );
+  };
+
+  /**
+   * Gets the scale registry of the root a node belongs to
+   * @param {Object} node - PostCSS node
+   * @returns {Object<string, Array<Object>>} Scales keyed by prefix
+   */
+  const getScales = (node) =>
+    rootScales.get(node.root().proxyOf) || configScales;
+
+  /**
+   * Resolves the scope scales declared in a file are registered in
+   * @param {string} [scope] - "file" or "global"; defaults to the plugin option
+   * @param {string} context - At-rule name for error messages
+   * @returns {string} Resolved scope
+   * @throws {Error} If the scope is not "file" or "global"
+   */
+  const resolveScope = (scope, context) => {
+    const resolved = scope ?? config.scope ?? "file";
+    if (resolved !== "file" && resolved !== "global") {
+      throw new Error(
+        `[postcss-ruler] ${context} scope must be "file" or "global", got "${resolved}"`,
+      );
+    }
+    return resolved;
+  };
+
+  /**
+   * Registers a scale declared in a file: in the file's own registry, and
+   * with the global scope also in the registry of files processed after it
+   * @param {Object} node - At-rule that declared the scale
+   * @param {Object} result - PostCSS result
+   * @param {string} prefix - Scale prefix
+   * @param {Array<Object>} entries - Scale entries
+   * @param {string} scope - "file" or "global"
+   */
+  const registerFileScale = (node, result, prefix, entries, scope) => {
+    const file = result.opts.from;
+    getScales(node)[prefix] = entries;
+
+    if (!declaredScales.has(file)) declaredScales.set(file, {});
+    declaredScales.get(file)[prefix] = entries;
+    if (scope !== "global") return;
+
+    if (!sharedScales.has(file)) sharedScales.set(file, {});
+    sharedScales.get(file)[prefix] = entries;
+  };
+
+  // Content globs scanned for used utilities, and scan results by file
+  const contentGlobs = [].concat(config.content);
+  const contentCache = new Map();
+
+  // Class names and attribute values found for each root using utilities
+  const rootCandidates = new WeakMap();
+
+  /**
+   * Scans the content files for class names and attribute values, and
+   * registers them as dependencies. Unchanged files are read from cache.
+   * @param {Object} result - PostCSS result
+   * @returns {?{tokens: Set<string>, attributes: Map<string, Set<string>>}}
+   *   Candidates from all files, or null when no content is configured
+   */
+  const scanContent = (result) => {
+    if (contentGlobs.length === 0) return null;
+
+    const { files, globs } = findFiles(contentGlobs);
+    const candidates = { tokens: new Set(), attributes: new Map() };
+
+    files.forEach((file) => {
+      const { mtimeMs } = fs.statSync(file);
+      const cached = contentCache.get(file);
+      if (!cached || cached.mtimeMs !== mtimeMs) {
+        contentCache.set(file, {
+          mtimeMs,
+          candidates: extractCandidates(fs.readFileSync(file, "utf8")),
+        });
+      }
+
+      const { tokens, attributes } = contentCache.get(file).candidates;
+      tokens.forEach((token) => candidates.tokens.add(token));
+      attributes.forEach((values, name) => {
+        if (!candidates.attributes.has(name)) {
+          candidates.attributes.set(name, new Set());
+        }
+        values.forEach((value) => candidates.attributes.get(name).add(value));
+      });
+      addDependency(result, file);
+    });
+
+    // Let watchers pick up files added later
+    globs.forEach(({ dir, glob }) => {
+      result.messages.push({
+        type: "dir-dependency",
+        plugin: "postcss-ruler",
+        dir,
+        glob,
+        parent: result.opts.from,
+      });
+    });
+
+    return candidates;
+  };
+
+  /**
+   * Gets the content candidates for the root a utility belongs to, scanning
+   * on the first utility so only roots with utilities depend on templates
+   * @param {Object} node - @ruler utility() at-rule
+   * @param {Object} result - PostCSS result
+   * @returns {?{tokens: Set<string>, attributes: Map<string, Set<string>>}}
+   *   Candidates, or null when no content is configured
+   */
+  const getContentCandidates = (node, result) => {
+    // Listeners receive proxies, so track the underlying root
+    const root = node.root().proxyOf;
+    if (!rootCandidates.has(root)) {
+      rootCandidates.set(root, scanContent(result));
+    }
+    return rootCandidates.get(root);
+  };
+
+  /**
+   * Checks a class name or `attribute=value` pair against the safelist
+   * @param {string} name - Class name or `attribute=value` pair
+   * @returns {boolean} Whether the name is safelisted
+   */
+  const isSafelisted = (name) =>
+    config.safelist.some((entry) =>
+      entry instanceof RegExp ? entry.test(name) : entry === name,
+    );
+
+  /**
+   * Checks whether a generated utility is used in the scanned content
+   * @param {Object} usage - How the utility is applied
+   * @param {string} [usage.className] - Class name, for class utilities
+   * @param {string} [usage.attribute] - Attribute name, for attribute utilities
+   * @param {string} [usage.value] - Attribute value, for attribute utilities
+   * @param {?Object} candidates - Content candidates, or null to keep every utility
+   * @returns {boolean} Whether to emit the utility
+   */
+  const isUsed = ({ className, attribute, value }, candidates) => {
+    if (candidates === null) return true;
+    if (attribute) {
+      const values = candidates.attributes.get(attribute);
+      return (
+        (values !== undefined && values.has(value)) ||
+        isSafelisted(`${attribute}=${value}`)
+      );
+    }
+    // Utilities without a class of their own (e.g. "#id-xs") are kept
+    if (className === undefined) return true;
+    return candidates.tokens.has(className) || isSafelisted(className);
+  };
+
+  /**
+   * Processes @ruler import() at-rule and registers scales from a token file
+   * @param {Object} atRule - PostCSS at-rule node
+   * @param {Object} result - PostCSS result
+   */
+  const processImportAtRule = (atRule, result) => {
+    const match = /^import\(\s*(["'])(.+)\1\s*\)$/.exec(atRule.params.trim());
+    if (!match) {
+      throw new Error(
+        '[postcss-ruler] @ruler import() requires a quoted file path, e.g. @ruler import("tokens.json")',
+      );
+    }
+
+    const from = atRule.source && atRule.source.input.file;
+    const file = path.resolve(from ? path.dirname(from) : "", match[2]);
+
+    addDependency(result, file);
+    // Build into a copy so extends resolves against the file's scales
+    const scope = resolveScope(undefined, "@ruler import()");
+    const registry = { ...getScales(atRule) };
+    registerTokenFile(file, registry, (message) =>
+      result.warn(message, { node: atRule, plugin: "postcss-ruler" }),
+    ).forEach((prefix) =>
+      registerFileScale(atRule, result, prefix, registry[prefix], scope),
+    );
+    atRule.remove();
+  };
+
+  // Roots that received layered output, and so need the layer order statement
+  const layeredRoots = new WeakSet();
+
+  /**
+   * Wraps generated nodes in a cascade layer
+   * @param {Object} atRule - PostCSS at-rule node being replaced
+   * @param {Array<Object>} nodes - Generated nodes
+   * @param {string} [layer] - Cascade layer name; nodes are returned as-is without one
+   * @returns {Array<Object>} Nodes to replace the at-rule with
+   * @throws {Error} If the layer name is invalid
+   */
+  const wrapInLayer = (atRule, nodes, layer) => {
+    if (!layer) return nodes;
+    if (!/^[a-zA-Z_-][\w-]*(\.[a-zA-Z_-][\w-]*)*$/.test(layer)) {
+      throw new Error(
+        `[postcss-ruler] Invalid layer name "${layer}": use letters, numbers, hyphens and underscores, with dots between nested layers`,
+      );
+    }
+
+    const postcss = require("postcss");
+    // Listeners receive proxies, so track the underlying root
+    layeredRoots.add(atRule.root().proxyOf);
+    return [postcss.atRule({ name: "layer", params: layer, nodes })];
+  };
+
+  /**
+   * Prepends the configured layer order, e.g. `@layer tokens, utilities;`,
+   * to a root that contains generated layers
+   * @param {Object} root - PostCSS root node
+   */
+  const prependLayerOrder = (root) => {
+    if (!config.layerOrder || !layeredRoots.has(root.proxyOf)) return;
+
+    const postcss = require("postcss");
+    const statement = postcss.atRule({
+      name: "layer",
+      params: config.layerOrder.join(", "),
+    });
+    // @charset must stay first; @layer statements may precede @import
+    const first = root.first;
+    if (first && first.type === "atrule" && first.name === "charset") {
+      first.after(statement);
+    } else {
+      root.prepend(statement);
+    }
+  };
+
+  // Scales whose custom properties were written, per root
+  const emittedScales = new WeakMap();
+
+  /**
+   * Records that a root wrote a scale's custom properties
+   * @param {Object} node - PostCSS node writing them
+   * @param {string} prefix - Scale prefix
+   */
+  const markEmitted = (node, prefix) => {
+    const root = node.root().proxyOf;
+    if (!emittedScales.has(root)) emittedScales.set(root, new Set());
+    emittedScales.get(root).add(prefix);
+  };
+
+  // var() references from utilities, per root, checked once the root is done
+  const scaleReferences = new WeakMap();
+
+  /**
+   * Records that a node references a scale's custom properties
+   * @param {Object} node - PostCSS node making the reference
+   * @param {string} scaleName - Scale prefix
+   */
+  const addScaleReference = (node, scaleName) => {
+    const root = node.root().proxyOf;
+    if (!scaleReferences.has(root)) scaleReferences.set(root, []);
+    scaleReferences.get(root).push({ node, scaleName });
+  };
+
+  /**
+   * Warns about var() references to scales whose custom properties the root
+   * does not emit. Only the root itself is checked, so the result does not
+   * depend on the order a bundler processes files in.
+   * @param {Object} root - PostCSS root node
+   * @param {Object} result - PostCSS result
+   */
+  const checkScaleReferences = (root, result) => {
+    const emitted = emittedScales.get(root.proxyOf) || new Set();
+    const warned = new Set();
+    (scaleReferences.get(root.proxyOf) || []).forEach(({ node, scaleName }) => {
+      if (emitted.has(scaleName) || warned.has(scaleName)) return;
+      warned.add(scaleName);
+      result.warn(
+        `Utilities reference var(--${scaleName}-*), but scale "${scaleName}" is not emitted as custom properties in this file. If another stylesheet emits it, this can be ignored; otherwise emit it with @ruler scale() or @ruler tokens(), or use valueMode: "inline".`,
+        { node, plugin: "postcss-ruler" },
+      );
+    });
+  };
+
+  /**
+   * Detects the indentation of a stylesheet the way PostCSS infers it for
+   * nodes without raws: from the first nested node on its own line
+   * @param {Object} root - PostCSS root node
+   * @returns {string} Indentation of one nesting level
+   */
+  const detectIndent = (root) => {
+    let indent = "    ";
+    root.walk((node) => {
+      const before = node.raws.before;
+      if (node.parent.type !== "root" && before && before.includes("\n")) {
+        indent = before.slice(before.lastIndexOf("\n") + 1).replace(/\S/g, "");
+        return false;
+      }
+    });
+    return indent;
+  };
+
+  /**
+   * Replaces a @ruler at-rule with generated nodes. Every generated node
+   * gets the at-rule's source, so source maps point at the @ruler line,
+   * and nested nodes get indentation relative to the at-rule.
+   * @param {Object} atRule - PostCSS at-rule node being replaced
+   * @param {Array<Object>} nodes - Generated nodes
+   */
+  const replaceAtRule = (atRule, nodes) => {
+    const indent = detectIndent(atRule.root());
+    const before = atRule.raws.before || "";
+    const base = before.slice(before.lastIndexOf("\n") + 1).replace(/\S/g, "");
+
+    const adopt = (node, depth) => {
+      node.source = atRule.source;
+      // Top-level nodes take the at-rule's own spacing when inserted
+      if (depth > 0) node.raws.before = `\n${base}${indent.repeat(depth)}`;
+      if (node.nodes) {
+        node.raws.between = " ";
+        node.raws.after = `\n${base}${indent.repeat(depth)}`;
+        node.nodes.forEach((child) => adopt(child, depth + 1));
+      }
+    };
+    nodes.forEach((node) => adopt(node, 0));
+
+    atRule.replaceWith(nodes);
+  };
+
+  /**
+   * Checks whether a node sits inside a style rule, at any depth (e.g.
+   * `.card { @media (...) { ... } }`)
+   * @param {Object} node - PostCSS node
+   * @returns {boolean} True if an ancestor is a rule
+   */
+  const isInsideRule = (node) => {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent.type === "rule") return true;
+    }
+    return false;
+  };
+
+  /**
+   * Wraps generated custom properties so they are valid where the at-rule
+   * sits: outside a rule they need a selector and get the plugin's layer,
+   * while inside one they stay in place. A layer set on the at-rule itself
+   * wraps either.
+   * @param {Object} atRule - PostCSS at-rule node being replaced
+   * @param {Array<Object>} declarations - Custom property declarations
+   * @param {Object} options - Output options
+   * @param {string} options.selector - Selector used outside a rule
+   * @param {string} [options.layer] - Cascade layer name set on the at-rule
+   * @returns {Array<Object>} Nodes to replace the at-rule with
+   */
+  const wrapDeclarations = (atRule, declarations, { selector, layer }) => {
+    if (isInsideRule(atRule)) return wrapInLayer(atRule, declarations, layer);
+
+    if (selector.trim() === "") {
+      throw new Error(
+        "[postcss-ruler] @ruler scale() selector cannot be empty",
+      );
+    }
+    const postcss = require("postcss");
+    return wrapInLayer(
+      atRule,
+      [postcss.rule({ selector, nodes: declarations })],
+      layer ?? config.layer,
+    );
+  };
+
+  /**
+   * Processes @fluid at-rule and generates CSS custom properties
+   * @param {Object} atRule - PostCSS at-rule node
+   * @param {Object} result - PostCSS result
+   */
+  const processFluidAtRule = (atRule, result) => {
+    const scaleConfig = parseAtRuleOptions(atRule, SCALE_OPTIONS);
+    const prefix = scaleConfig.prefix ?? "space";
+
+    if (
+      !scaleConfig.base &&
+      !scaleConfig.extends &&
+      Object.keys(scaleConfig.pairs || {}).length === 0
+    ) {
+      throw new Error("[postcss-ruler] No pairs defined in @ruler scale()");
+    }
+
+    const scope = resolveScope(scaleConfig.scope, "@ruler scale()");
+    const clampScale = buildScale(
+      scaleConfig,
+      prefix,
+      (message) =>
+        result.warn(message, { node: atRule, plugin: "postcss-ruler" }),
+      getScales(atRule),
+    );
+
+    // Store the scale for later use by utility classes
+    registerFileScale(atRule, result, prefix, clampScale, scope);
+    markEmitted(atRule, prefix);
+
+    replaceAtRule(
+      atRule,
+      wrapDeclarations(atRule, createScaleDeclarations(prefix, clampScale), {
+        selector: scaleConfig.selector ?? config.selector,
+        layer: scaleConfig.layer,
+      }),
+    );
+  };
+
+  /**
+   * Creates the custom property declarations of a scale
+   * @param {string} prefix - Scale prefix
+   * @param {Array<{label: string, clamp: string}>} entries - Scale entries
+   * @returns {Array<Object>} PostCSS declarations
+   */
+  const createScaleDeclarations = (prefix, entries) => {
+    const postcss = require("postcss");
+    return entries.map((step) =>
+      postcss.decl({
+        prop: `--${prefix}-${step.label}`,
+        value: step.clamp,
+      }),
+    );
+  };
+
+  /**
+   * Processes @ruler tokens() at-rule and emits scales from the registry as
+   * custom properties. Accepts no arguments (every scale), scale names, or
+   * an options object with `scales`, `selector` and `layer`.
+   * @param {Object} atRule - PostCSS at-rule node
+   * @throws {Error} On invalid options or unknown scales
+   */
+  const processTokensAtRule = (atRule) => {
+    const scales = getScales(atRule);
+    const params = atRule.params.trim();
+    // Scale names may be bare or quoted, e.g. tokens(space, "font")
+    const name = `(?:[\\w-]+|"[\\w-]+"|'[\\w-]+')`;
+    const names = new RegExp(
+      `^tokens\\(\\s*(${name}(?:\\s*,\\s*${name})*)?\\s*\\)$`,
+    ).exec(params);
+    const options = names
+      ? {
+          scales: names[1]
+            ? names[1]
+                .split(/\s*,\s*/)
+                .map((scale) => scale.replace(/^["']|["']$/g, ""))
+            : undefined,
+        }
+      : parseAtRuleOptions(atRule, TOKENS_OPTIONS);
+    const prefixes = options.scales ?? Object.keys(scales);
+
+    prefixes.forEach((prefix) => {
+      if (!scales[prefix]) {
+        throw Object.assign(
+          new Error(
+            `[postcss-ruler] Scale "${prefix}" not found. Available scales: ${Object.keys(scales).join(", ") || "none"}`,
+          ),
+          { word: prefix },
+        );
+      }
+    });
+
+    const declarations = prefixes.flatMap((prefix) => {
+      markEmitted(atRule, prefix);
+      return createScaleDeclarations(prefix, scales[prefix]);
+    });
+    if (declarations.length === 0) {
+      atRule.remove();
+      return;
+    }
+
+    replaceAtRule(
+      atRule,
+      wrapDeclarations(atRule, declarations, {
+        selector: options.selector ?? config.selector,
+        layer: options.layer,
+      }),
+    );
+  };
+
+  /**
+   * Escapes a string for use at the start of a class name
+   * @param {string} name - Raw class name part, e.g. "md:" or "@lg:"
+   * @returns {string} Escaped class name part, e.g. "md\\:"
+   */
+  const escapeClassName = (name) =>
+    name.replace(/[^\w-]/g, (char) => `\\${char}`).replace(/^(\d)/, "\\3$1 ");
+
+  /**
+   * Resolves utility breakpoint names to the at-rules their variants go in.
+   * Names starting with "@" refer to container breakpoints.
+   * @param {boolean|Array<string>} names - Breakpoint names, or true for all
+   *   media breakpoints
+   * @returns {Array<{name: string, atRule: {name: string, params: string}}>} Variants
+   * @throws {Error} If a breakpoint is not defined in the plugin config
+   */
+  const resolveBreakpoints = (names) => {
+    if (!names) return [];
+
+    return (names === true ? Object.keys(config.breakpoints) : names).map(
+      (name) => {
+        const isContainer = name.startsWith("@");
+        const widths = isContainer ? config.containers : config.breakpoints;
+        const key = isContainer ? name.slice(1) : name;
+
+        if (!Object.prototype.hasOwnProperty.call(widths, key)) {
+          const available = [
+            ...Object.keys(config.breakpoints),
+            ...Object.keys(config.containers).map(
+              (container) => `@${container}`,
+            ),
+          ];
+          throw new Error(
+            `[postcss-ruler] Breakpoint "${name}" not found. Available breakpoints: ${available.join(", ") || "none (set breakpoints in the plugin config)"}`,
+          );
+        }
+
+        const width =
+          typeof widths[key] === "number" ? `${widths[key]}px` : widths[key];
+        return {
+          name,
+          atRule: {
+            name: isContainer ? "container" : "media",
+            params: `(min-width: ${width})`,
+          },
+        };
+      },
+    );
+  };
+
+  // Selector suffixes and the sides they set, for each axes naming
+  const AXES = {
+    physical: {
+      "": [""],
+      "-x": ["left", "right"],
+      "-y": ["top", "bottom"],
+      "-t": ["top"],
+      "-r": ["right"],
+      "-b": ["bottom"],
+      "-l": ["left"],
+    },
+    logical: {
+      "": [""],
+      "-x": ["inline"],
+      "-y": ["block"],
+      "-t": ["block-start"],
+      "-b": ["block-end"],
+      "-s": ["inline-start"],
+      "-e": ["inline-end"],
+    },
+  };
+
+  // Properties that axes can expand, and the pattern of their side longhands
+  const AXIS_PROPERTIES = {
+    margin: "margin-{side}",
+    padding: "padding-{side}",
+    inset: "inset-{side}",
+    "scroll-margin": "scroll-margin-{side}",
+    "scroll-padding": "scroll-padding-{side}",
+    "border-width": "border-{side}-width",
+  };
+
+  /**
+   * Expands a utility's property option into selector suffixes and the
+   * properties each one sets
+   * @param {string|Array<string>|Object<string, string|Array<string>>} property -
+   *   Property, list of properties, or map of selector suffixes to properties
+   * @param {?string} axes - "physical" or "logical" to expand a box property
+   *   such as padding into its sides
+   * @returns {Array<{suffix: string, properties: Array<string>}>} Families
+   * @throws {Error} On an unknown axes naming or an invalid suffix
+   */
+  const resolvePropertyFamilies = (property, axes) => {
+    const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+    if (axes !== null) {
+      if (!AXES[axes]) {
+        throw new Error(
+          `[postcss-ruler] @ruler utility() axes must be "physical" or "logical", got "${axes}"`,
+        );
+      }
+      if (typeof property !== "string") {
+        throw new Error(
+          '[postcss-ruler] @ruler utility() axes requires a single "property", e.g. "padding"',
+        );
+      }
+      if (!Object.prototype.hasOwnProperty.call(AXIS_PROPERTIES, property)) {
+        throw new Error(
+          `[postcss-ruler] @ruler utility() axes does not support "${property}". Supported properties: ${Object.keys(AXIS_PROPERTIES).join(", ")}`,
+        );
+      }
+
+      return Object.entries(AXES[axes]).map(([suffix, sides]) => ({
+        suffix,
+        properties: sides.map((side) => {
+          if (!side) return property;
+          // Physical inset sides are plain "top", "left", ...
+          return property === "inset" && axes === "physical"
+            ? side
+            : AXIS_PROPERTIES[property].replace("{side}", side);
+        }),
+      }));
+    }
+
+    if (!isPlainObject(property)) {
+      return [{ suffix: "", properties: toArray(property) }];
+    }
+
+    return Object.entries(property).map(([suffix, properties]) => {
+      if (!/^[\w-]*$/.test(suffix)) {
+        throw new Error(
+          `[postcss-ruler] Invalid @ruler utility() property suffix "${suffix}": use letters, numbers, hyphens and underscores`,
+        );
+      }
+      return { suffix, properties: toArray(properties) };
+    });
+  };
+
+  // Ancestor selectors and combinators for group-* and peer-* states
+  const STATE_ANCESTORS = {
+    group: { selector: ".group", combinator: " " },
+    peer: { selector: ".peer", combinator: " ~ " },
+  };
+
+  /**
+   * Parses utility state names into the selector parts they add
+   * @param {Array<string>} names - States, e.g. "hover", "group-hover" or
+   *   "[aria-expanded=true]"
+   * @returns {Array<{name: string, condition: string, ancestor: ?Object}>} States
+   *   with the pseudo-class or attribute condition and, for group and peer
+   *   states, the element the condition applies to
+   * @throws {Error} If a state name is invalid
+   */
+  const resolveStates = (names) =>
+    names.map((name) => {
+      if (/^\[[\w-]+(?:[~|^$*]?=(?:"[^"]*"|'[^']*'|[\w-]+))?\]$/.test(name)) {
+        return { name, condition: name, ancestor: null };
+      }
+
+      const match = /^(?:(group|peer)-)?([a-z][a-z-]*)$/.exec(name);
+      if (!match) {
+        throw new Error(
+          `[postcss-ruler] Invalid @ruler utility() state "${name}": expected a pseudo-class such as "hover", a "group-" or "peer-" state, or an attribute selector such as "[aria-expanded=true]"`,
+        );
+      }
+      return {
+        name,
+        condition: `:${match[2]}`,
+        ancestor: match[1] ? STATE_ANCESTORS[match[1]] : null,
+      };
+    });
+
+  /**
+   * Processes @ruler utility() at-rule and generates utility classes
+   * @param {Object} atRule - PostCSS at-rule node
+   * @param {Object} result - PostCSS result
+   */
+  const processUtilityAtRule = (atRule, result) => {
+    const postcss = require("postcss");
+    const utilityParams = {
+      selector: null,
+      property: null,
+      scale: null,
+      generateAllCrossPairs: null,
+      attribute: null,
+      lowSpecificity: null,
+      viewportUnit: null,
+      layer: config.utilityLayer,
+      breakpoints: null,
+      states: [],
+      axes: null,
+      negative: false,
+      negativePrefix: config.negativePrefix,
+      valueMode: config.valueMode ?? null,
+      only: null,
+      exclude: null,
+      ...parseAtRuleOptions(atRule, UTILITY_OPTIONS),
+    };
+
+    // Resolve lowSpecificity from config if not explicitly set
+    if (utilityParams.lowSpecificity === null) {
+      utilityParams.lowSpecificity = config.lowSpecificity;
+    }
+
+    // Validate attribute-specific constraints first
+    if (utilityParams.attribute !== null) {
+      if (utilityParams.attribute === "") {
+        throw new Error(
+          "[postcss-ruler] @ruler utility() attribute parameter cannot be empty",
+        );
+      }
+      if (!/^[a-zA-Z0-9_-]+$/.test(utilityParams.attribute)) {
+        throw new Error(
+          "[postcss-ruler] @ruler utility() attribute parameter must contain only letters, numbers, hyphens, and underscores",
+        );
+      }
+    }
+
+    if (
+      utilityParams.valueMode !== null &&
+      !["var", "inline"].includes(utilityParams.valueMode)
+    ) {
+      throw new Error(
+        `[postcss-ruler] @ruler utility() valueMode must be "var" or "inline", got "${utilityParams.valueMode}"`,
+      );
+    }
+
+    if (utilityParams.negative && utilityParams.negativePrefix === "") {
+      throw new Error(
+        "[postcss-ruler] @ruler utility() negativePrefix cannot be empty",
+      );
+    }
+
+    // Validate required parameters
+    if (!utilityParams.selector && !utilityParams.attribute) {
+      throw new Error(
+        '[postcss-ruler] @ruler utility() requires either "selector" or "attribute" parameter',
+      );
+    }
+    if (!utilityParams.property) {
+      throw new Error(
+        '[postcss-ruler] @ruler utility() requires a "property" parameter',
+      );
+    }
+    if (!utilityParams.scale) {
+      throw new Error(
+        '[postcss-ruler] @ruler utility() requires a "scale" parameter',
+      );
+    }
+
+    // Check if scale exists
+    const scale = getScales(atRule)[utilityParams.scale];
+    if (!scale) {
+      throw new Error(
+        `[postcss-ruler] Scale "${utilityParams.scale}" not found. Define it with @ruler scale() first.`,
+      );
+    }
+
+    // Determine which scale items to use
+    let scaleItems = scale;
+    if (utilityParams.generateAllCrossPairs === false) {
+      scaleItems = scale.filter((item) => !item.crossPair);
+    }
+
+    // Narrow to explicitly selected steps
+    ["only", "exclude"].forEach((filter) => {
+      (utilityParams[filter] || []).forEach((label) => {
+        if (!scale.some((item) => item.label === label)) {
+          throw new Error(
+            `[postcss-ruler] @ruler utility() ${filter} step "${label}" not found in scale "${utilityParams.scale}". Available steps: ${scale.map((item) => item.label).join(", ")}`,
+          );
+        }
+      });
+    });
+    if (utilityParams.only) {
+      scaleItems = scaleItems.filter((item) =>
+        utilityParams.only.includes(item.label),
+      );
+    }
+    if (utilityParams.exclude) {
+      scaleItems = scaleItems.filter(
+        (item) => !utilityParams.exclude.includes(item.label),
+      );
+    }
+
+    // Expand the property option into suffixed families, e.g. -x, -t
+    const families = resolvePropertyFamilies(
+      utilityParams.property,
+      utilityParams.axes,
+    );
+
+    /**
+     * Resolves the inline clamp for a scale item, recalculated when the
+     * utility overrides the scale's viewport unit or negates the value
+     * @param {Object} item - Scale entry
+     * @param {boolean} negative - Whether to negate the sizes
+     * @returns {string} Clamp value
+     */
+    const resolveClamp = (item, negative) =>
+      utilityParams.viewportUnit || negative
+        ? calculateClamp({
+            ...item.params,
+            ...(negative && {
+              minSize: -item.params.minSize,
+              maxSize: -item.params.maxSize,
+            }),
+            viewportUnit:
+              utilityParams.viewportUnit ?? item.params.viewportUnit,
+          })
+        : item.clamp;
+
+    const variants = resolveBreakpoints(utilityParams.breakpoints);
+    const states = resolveStates(utilityParams.states);
+
+    // Variant values share the attribute with base values, as a token list
+    const attrOperator = variants.length > 0 || states.length > 0 ? "~=" : "=";
+
+    /**
+     * Wraps a selector in :where() when lowSpecificity is enabled
+     * @param {string} selector - Selector to wrap
+     * @returns {string} Selector
+     */
+    const where = (selector) =>
+      utilityParams.lowSpecificity ? `:where(${selector})` : selector;
+
+    /**
+     * Applies a state to a utility selector. The state's pseudo-class or
+     * attribute stays outside :where() so it still has to match.
+     * @param {string} selector - Utility selector, without :where()
+     * @param {Object} state - State from resolveStates()
+     * @returns {string} Selector
+     */
+    const applyState = (selector, { condition, ancestor }) =>
+      ancestor
+        ? `${where(ancestor.selector)}${condition}${ancestor.combinator}${where(selector)}`
+        : `${where(selector)}${condition}`;
+
+    // Attribute mode defaults to var() references and class mode to inline
+    // clamps. A custom property can't change unit, so overrides are inlined.
+    const valueMode = utilityParams.viewportUnit
+      ? "inline"
+      : (utilityParams.valueMode ??
+        (utilityParams.attribute ? "var" : "inline"));
+    if (valueMode === "var") {
+      addScaleReference(atRule, utilityParams.scale);
+    }
+
+    /**
+     * Resolves the value a utility sets for a scale item
+     * @param {Object} item - Scale entry
+     * @param {boolean} negative - Whether to negate the value
+     * @returns {string} var() reference or clamp value
+     */
+    const resolveValue = (item, negative) => {
+      if (valueMode === "inline") return resolveClamp(item, negative);
+
+      const reference = `var(--${utilityParams.scale}-${item.label})`;
+      return negative ? `calc(-1 * ${reference})` : reference;
+    };
+
+    // Negative utilities follow the positive ones
+    const signs = utilityParams.negative ? [false, true] : [false];
+
+    const candidates = getContentCandidates(atRule, result);
+
+    /**
+     * Generates utility classes as PostCSS nodes
+     * @param {string} variant - Variant prefix, e.g. "md:hover:", or "" for base utilities
+     * @param {Object} [state] - State from resolveStates() the variant applies
+     * @returns {Array<Object>} PostCSS rules
+     * @throws {Error} If a variant is requested for a selector without a class
+     */
+    const createRules = (variant, state) =>
+      signs.flatMap((negative) =>
+        families.flatMap(({ suffix, properties }) =>
+          scaleItems.flatMap((item) => {
+            const prefix = negative
+              ? `${variant}${utilityParams.negativePrefix}`
+              : variant;
+            const ruleValue = resolveValue(item, negative);
+            let baseSelector;
+            let usage;
+
+            if (utilityParams.attribute) {
+              usage = {
+                attribute: `${utilityParams.attribute}${suffix}`,
+                value: `${prefix}${item.label}`,
+              };
+              // Attribute mode: [data-attr="value"] or .class[data-attr="value"]
+              const attrSelector = `[${utilityParams.attribute}${suffix}${attrOperator}"${prefix}${item.label}"]`;
+              baseSelector = utilityParams.selector
+                ? `${utilityParams.selector}${attrSelector}`
+                : attrSelector;
+            } else {
+              // Class mode (existing behavior)
+              baseSelector = `${utilityParams.selector}${suffix}-${item.label}`;
+
+              // Prefixes go on the generated class: ".gap-xs" -> ".md\:-gap-xs"
+              const classMatch = /\.([\w-]+)$/.exec(baseSelector);
+              usage = {
+                className: classMatch ? `${prefix}${classMatch[1]}` : undefined,
+              };
+              if (prefix) {
+                if (!classMatch) {
+                  throw new Error(
+                    `[postcss-ruler] @ruler utility() breakpoints, states and negative utilities require a selector ending in a class name, got "${utilityParams.selector}"`,
+                  );
+                }
+                baseSelector = `${baseSelector.slice(0, classMatch.index)}.${escapeClassName(prefix)}${classMatch[1]}`;
+              }
+            }
+
+            if (!isUsed(usage, candidates)) return [];
+
+            let ruleSelector;
+            if (state) {
+              ruleSelector = applyState(baseSelector, state);
+            } else if (
+              utilityParams.lowSpecificity &&
+              !utilityParams.attribute &&
+              utilityParams.selector.endsWith(" &")
+            ) {
+              // Parent context: ".container &" -> ".container :where(&-xs)"
+              const parentPart = utilityParams.selector.slice(0, -1); // Remove trailing "&"
+              ruleSelector = `${parentPart}:where(&${suffix}-${item.label})`;
+            } else {
+              ruleSelector = where(baseSelector);
+            }
+
+            const rule = postcss.rule({ selector: ruleSelector });
+
+            properties.forEach((prop) => {
+              rule.append(postcss.decl({ prop, value: ruleValue }));
+            });
+
+            return rule;
+          }),
+        ),
+      );
+
+    /**
+     * Generates the base and state utilities for a breakpoint
+     * @param {string} breakpoint - Breakpoint prefix, e.g. "md:", or ""
+     * @returns {Array<Object>} PostCSS rules
+     */
+    const createVariantRules = (breakpoint) => [
+      ...createRules(breakpoint),
+      ...states.flatMap((state) =>
+        createRules(`${breakpoint}${state.name}:`, state),
+      ),
+    ];
+
+    // Base utilities first, so variants win at equal specificity
+    const rules = [
+      ...createVariantRules(""),
+      ...variants.flatMap(({ name, atRule: variantAtRule }) => {
+        const nodes = createVariantRules(`${name}:`);
+        return nodes.length > 0
+          ? [postcss.atRule({ ...variantAtRule, nodes })]
+          : [];
+      }),
+    ];
+
+    replaceAtRule(atRule, wrapInLayer(atRule, rules, utilityParams.layer));
+  };
+
+  /**
+   * Converts a ruler.fluid() length argument to pixels
+   * @param {string} arg - Number with an optional px, rem or em unit
+   * @param {number} rootFontSize - Pixels per rem/em
+   * @returns {number} Length in pixels
+   * @throws {Error} If the argument is not a valid length
+   */
+  const parseLength = (arg, rootFontSize) => {
+    const match = /^([+-]?(?:\d+\.?\d*|\.\d+))(px|rem|em)?$/.exec(arg);
+    if (!match) {
+      throw new Error(
+        `[postcss-ruler] Invalid ruler.fluid() argument "${arg}": expected a number with an optional px, rem or em unit`,
+      );
+    }
+
+    const value = Number(match[1]);
+    return match[2] === "rem" || match[2] === "em"
+      ? value * rootFontSize
+      : value;
+  };
+
+  /**
+   * Splits inline function arguments into positional values and named options
+   * @param {string} argString - Raw text between the parentheses
+   * @param {string} name - Function name, for error messages
+   * @param {Array<string>} allowedOptions - Named options the function accepts
+   * @returns {{positional: Array<string>, named: Object}} Parsed arguments
+   * @throws {Error} If a named option is unknown
+   */
+  const parseInlineArgs = (argString, name, allowedOptions) => {
+    const positional = [];
+    const named = {};
+
+    argString
+      .split(",")
+      .map((s) => s.trim())
+      .forEach((arg) => {
+        const separator = arg.indexOf(":");
+        if (separator === -1) {
+          if (arg !== "") positional.push(arg.replace(/['"]/g, ""));
+          return;
+        }
+
+        const key = arg.slice(0, separator).trim();
+        const value = arg
+          .slice(separator + 1)
+          .trim()
+          .replace(/['"]/g, "");
+
+        if (!allowedOptions.includes(key)) {
+          throw new Error(
+            `[postcss-ruler] Unknown ruler.${name}() option "${key}"`,
+          );
+        }
+        named[key] = key === "rootFontSize" ? Number(value) : value;
+      });
+
+    return { positional, named };
+  };
+
+  /**
+   * Looks up a step in a scale registry
+   * @param {Object<string, Array<Object>>} scales - Scale registry
+   * @param {string} scaleName - Scale prefix
+   * @param {string} label - Step label
+   * @returns {{label: string, clamp: string, params: Object}} Scale entry
+   * @throws {Error} If the scale or step does not exist
+   */
+  const findStep = (scales, scaleName, label) => {
+    const scale = scales[scaleName];
+    if (!scale) {
+      throw new Error(
+        `[postcss-ruler] Scale "${scaleName}" not found. Define it with @ruler scale() first.`,
+      );
+    }
+
+    const item = scale.find((entry) => entry.label === label);
+    if (!item) {
+      throw new Error(
+        `[postcss-ruler] Step "${label}" not found in scale "${scaleName}". Available steps: ${scale.map((entry) => entry.label).join(", ")}`,
+      );
+    }
+    return item;
+  };
+
+  // Inline functions: their named options and how they resolve to a value.
+  // resolve() also receives the call's source text, a warning reporter and
+  // the scale registry of the file.
+  const INLINE_FUNCTIONS = {
+    fluid: {
+      options: ["unit", "rootFontSize", "viewportUnit"],
+      resolve: (positional, named, { call, warn }) => {
+        if (positional.length < 2) {
+          throw new Error(
+            "[postcss-ruler] ruler.fluid() requires minSize and maxSize",
+          );
+        }
+
+        const [minSize, maxSize, minWidth, maxWidth] = positional.map((arg) =>
+          parseLength(arg, named.rootFontSize ?? config.rootFontSize),
+        );
+
+        const params = {
+          minSize,
+          maxSize,
+          minWidth: minWidth ?? config.minWidth,
+          maxWidth: maxWidth ?? config.maxWidth,
+          ...named,
+        };
+        const clamp = calculateClamp(params);
+        checkZoom(params, call, config.checkZoom, warn);
+        return clamp;
+      },
+    },
+    step: {
+      options: ["valueMode"],
+      resolve: (
+        [scaleName, label, ...rest],
+        { valueMode = "var" },
+        { scales },
+      ) => {
+        if (!scaleName || !label || rest.length > 0) {
+          throw new Error(
+            "[postcss-ruler] ruler.step() requires a scale and a step, e.g. ruler.step(space, md)",
+          );
+        }
+        if (valueMode !== "var" && valueMode !== "inline") {
+          throw new Error(
+            `[postcss-ruler] ruler.step() valueMode must be "var" or "inline", got "${valueMode}"`,
+          );
+        }
+
+        const item = findStep(scales, scaleName, label);
+        return valueMode === "var"
+          ? `var(--${scaleName}-${item.label})`
+          : item.clamp;
+      },
+    },
+    between: {
+      options: ["unit", "rootFontSize", "viewportUnit"],
+      resolve: (
+        [scaleName, fromLabel, toLabel, ...rest],
+        named,
+        { call, warn, scales },
+      ) => {
+        if (!scaleName || !fromLabel || !toLabel || rest.length > 0) {
+          throw new Error(
+            "[postcss-ruler] ruler.between() requires a scale and two steps, e.g. ruler.between(space, xs, xl)",
+          );
+        }
+
+        const from = findStep(scales, scaleName, fromLabel);
+        const to = findStep(scales, scaleName, toLabel);
+        const params = { ...from.params, maxSize: to.params.maxSize, ...named };
+        const clamp = calculateClamp(params);
+        checkZoom(params, call, config.checkZoom, warn);
+        return clamp;
+      },
+    },
+  };
+
+  /**
+   * Processes inline ruler.*() functions in declarations
+   * @param {Object} decl - PostCSS declaration node
+   * @param {Object} result - PostCSS result
+   */
+  const processFluidDeclaration = (decl, result) => {
+    const regex = /ruler\.(fluid|step|between)\(([^)]*)\)/g;
+    let newValue = decl.value;
+    let match;
+
+    while ((match = regex.exec(decl.value)) !== null) {
+      try {
+        const inlineFunction = INLINE_FUNCTIONS[match[1]];
+        const { positional, named } = parseInlineArgs(
+          match[2],
+          match[1],
+          inlineFunction.options,
+        );
+
+        const call = match[0];
+        const warn = (message) =>
+          result.warn(message, {
+            node: decl,
+            plugin: "postcss-ruler",
+            word: call,
+          });
+
+        newValue = newValue.replace(
+          call,
+          inlineFunction.resolve(positional, named, {
+            call,
+            warn,
+            scales: getScales(decl),
+          }),
+        );
+      } catch (err) {
+        // Point source-located errors at the offending call
+        throw Object.assign(err, { word: match[0] });
+      }
+    }
+
+    if (newValue !== decl.value) {
+      decl.value = newValue;
+    }
+  };
+
+  /**
+   * Reports a plugin error at the source position of the node that caused it.
+   * In strict mode the build fails; otherwise a warning is added to the result
+   * and the node is removed from the output.
+   * @param {Object} node - PostCSS node being processed
+   * @param {Object} result - PostCSS result
+   * @param {Error} err - Error thrown while processing the node
+   * @throws {Error} CssSyntaxError in strict mode, or unrelated errors as-is
+   */
+  const reportNodeError = (node, result, err) => {
+    if (!err.message.startsWith("[postcss-ruler]")) throw err;
+
+    const message =
+      err.reason || err.message.replace(/^\[postcss-ruler\] /, "");
+    const position =
+      err.index !== undefined
+        ? { index: err.index }
+        : err.word
+          ? { word: err.word }
+          : {};
+
+    if (config.strict) {
+      throw node.error(message, { plugin: "postcss-ruler", ...position });
+    }
+
+    result.warn(message, { node, plugin: "postcss-ruler", ...position });
+    node.remove();
+  };
+
+  const plugin = {
+    postcssPlugin: "ruler",
+    Once(root, { result }) {
+      refreshConfigTokenFiles(result);
+      initializeRootScales(root, result);
+    },
+    OnceExit(root, { result }) {
+      checkScaleReferences(root, result);
+      prependLayerOrder(root);
+      writeExports();
+    },
+    AtRule: {
+      ruler: (atRule, { result }) => {
+        try {
+          if (atRule.params.startsWith("scale(")) {
+            return processFluidAtRule(atRule, result);
+          } else if (atRule.params.startsWith("utility(")) {
+            return processUtilityAtRule(atRule, result);
+          } else if (atRule.params.startsWith("import(")) {
+            return processImportAtRule(atRule, result);
+          } else if (atRule.params.startsWith("tokens(")) {
+            return processTokensAtRule(atRule);
+          }
+        } catch (err) {
+          reportNodeError(atRule, result, err);
+        }
+      },
+    },
+    Declaration(decl, { result }) {
+      try {
+        processFluidDeclaration(decl, result);
+      } catch (err) {
+        reportNodeError(decl, result, err);
+      }
+    },
+  };
+
+  registries.set(plugin, configScales);
+  return plugin;
+};
+
+module.exports.postcss = true;
+
+/**
+ * Resolves the scales defined in plugin options without processing any CSS
+ * @param {Object} [opts] - Plugin options
+ * @returns {Object<string, Object<string, Object>>} Manifest of steps keyed by
+ *   scale and label (see the export option)
+ */
+module.exports.resolveScales = (opts) =>
+  createManifest(registries.get(module.exports(opts)));
@@ -1,6 +1,9 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
 const postcss = require("postcss");
-const { equal } = require("node:assert");
-const { test } = require("node:test");
+const { equal, deepEqual } = require("node:assert");
+const { test, after } = require("node:test");
 
 const plugin = require("./");
 
@@ -27,14 +30,16 @@ test("generates utility classes with CSS custom property", async () => {
       property: '--stack-space',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
-    .stack-space-xs {
-    --stack-space: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
 }
+    .stack-space-xs {
+        --stack-space: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
     .stack-space-sm {
-    --stack-space: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}`,
+        --stack-space: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -54,14 +59,16 @@ test("generates utility classes with regular CSS property", async () => {
       property: 'width',
       scale: 'size'
     });`,
-    `--size-sm: clamp(6.25rem, 6.9444vw + 4.8611rem, 12.5rem);
---size-md: clamp(12.5rem, 13.8889vw + 9.7222rem, 25rem);
-    .w-sm {
-    width: clamp(6.25rem, 6.9444vw + 4.8611rem, 12.5rem)
+    `:root {
+    --size-sm: clamp(6.25rem, 6.9444vw + 4.8611rem, 12.5rem);
+    --size-md: clamp(12.5rem, 13.8889vw + 9.7222rem, 25rem)
 }
+    .w-sm {
+        width: clamp(6.25rem, 6.9444vw + 4.8611rem, 12.5rem)
+    }
     .w-md {
-    width: clamp(12.5rem, 13.8889vw + 9.7222rem, 25rem)
-}`,
+        width: clamp(12.5rem, 13.8889vw + 9.7222rem, 25rem)
+    }`,
     {},
   );
 });
@@ -80,11 +87,13 @@ test("generates utility classes with multiple properties", async () => {
       property: ["padding-top", "padding-bottom"],
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     .p-block-xs {
-    padding-top: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
-    padding-bottom: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        padding-top: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+        padding-bottom: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     {},
   );
 });
@@ -105,18 +114,20 @@ test("generates utility classes including cross-pairs when scale has them", asyn
       property: 'gap',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
---space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem);
-    .gap-xs {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+    --space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
 }
+    .gap-xs {
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
     .gap-sm {
-    gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}
+        gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }
     .gap-xs-sm {
-    gap: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
-}`,
+        gap: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -138,15 +149,17 @@ test("excludes cross-pairs when generateAllCrossPairs is false", async () => {
       scale: 'space',
       generateAllCrossPairs: false
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
---space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem);
-    .gap-xs {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+    --space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
 }
+    .gap-xs {
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
     .gap-sm {
-    gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}`,
+        gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -215,14 +228,16 @@ test("generates utilities with nested & modifier selector", async () => {
       property: 'gap',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
-    &.space-xs {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
 }
+    &.space-xs {
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
     &.space-sm {
-    gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}`,
+        gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -241,10 +256,12 @@ test("generates utilities with multiple class selector", async () => {
       property: 'gap',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     .container.space-xs {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     {},
   );
 });
@@ -263,10 +280,12 @@ test("generates utilities with ID selector", async () => {
       property: 'padding',
       scale: 'space'
     });`,
-    `--space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+    `:root {
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+}
     #section-sm {
-    padding: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}`,
+        padding: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -285,10 +304,12 @@ test("generates utilities with element selector", async () => {
       property: 'margin',
       scale: 'space'
     });`,
-    `--space-md: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem);
+    `:root {
+    --space-md: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
+}
     section-md {
-    margin: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
-}`,
+        margin: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
+    }`,
     {},
   );
 });
@@ -307,10 +328,12 @@ test("generates utilities with parent context selector", async () => {
       property: 'gap',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     .container &-xs {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     {},
   );
 });
@@ -338,8 +361,10 @@ test("scale generation with equal min/max outputs static rem", async () => {
     "fluid": [16, 24]
   }
 });`,
-    `--size-static: 1rem;
---size-fluid: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);`,
+    `:root {
+    --size-static: 1rem;
+    --size-fluid: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+}`,
     {},
   );
 });
@@ -358,8 +383,10 @@ test("utility classes with static values output static rem", async () => {
   property: 'gap',
   scale: 'gap'
 });`,
-    `--gap-fixed: 1.5rem;
---gap-fluid: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem);
+    `:root {
+    --gap-fixed: 1.5rem;
+    --gap-fluid: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
+}
 .gap-fixed {
     gap: 1.5rem
 }
@@ -370,12 +397,24 @@ test("utility classes with static values output static rem", async () => {
   );
 });
 
-test("throws error when min > max", async () => {
+test("supports shrinking ranges where max < min", async () => {
+  await run(
+    `.element {
+  font-size: ruler.fluid(24, 16);
+}`,
+    `.element {
+  font-size: clamp(1rem, -0.5556vw + 1.6111rem, 1.5rem);
+}`,
+    {},
+  );
+});
+
+test("throws error when min width > max width", async () => {
   let error;
   try {
     await run(
       `.element {
-  font-size: ruler.fluid(24, 16);
+  font-size: ruler.fluid(16, 24, 1200, 320);
 }`,
       "",
       {},
@@ -383,7 +422,7 @@ test("throws error when min > max", async () => {
   } catch (e) {
     error = e;
   }
-  equal(error.message.includes("min (24) must be less than max (16)"), true);
+  equal(error.message.includes("min (1200) must be less than max (320)"), true);
 });
 
 test("handles mixed static and fluid values in same declaration", async () => {
@@ -415,18 +454,20 @@ test("generates utilities with data-attribute selectors", async () => {
       property: 'font-size',
       scale: 'size'
     });`,
-    `--size-xs: clamp(1rem, 0.2778vw + 0.9444rem, 1.25rem);
---size-sm: clamp(1.25rem, 0.2778vw + 1.1944rem, 1.5rem);
---size-md: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem);
-    .heading[data-size="xs"] {
-    font-size: var(--size-xs)
+    `:root {
+    --size-xs: clamp(1rem, 0.2778vw + 0.9444rem, 1.25rem);
+    --size-sm: clamp(1.25rem, 0.2778vw + 1.1944rem, 1.5rem);
+    --size-md: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
 }
+    .heading[data-size="xs"] {
+        font-size: var(--size-xs)
+    }
     .heading[data-size="sm"] {
-    font-size: var(--size-sm)
-}
+        font-size: var(--size-sm)
+    }
     .heading[data-size="md"] {
-    font-size: var(--size-md)
-}`,
+        font-size: var(--size-md)
+    }`,
     {},
   );
 });
@@ -447,14 +488,16 @@ test("generates standalone attribute selectors with empty selector", async () =>
       property: 'gap',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
-    [data-gap="xs"] {
-    gap: var(--space-xs)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
 }
+    [data-gap="xs"] {
+        gap: var(--space-xs)
+    }
     [data-gap="sm"] {
-    gap: var(--space-sm)
-}`,
+        gap: var(--space-sm)
+    }`,
     {},
   );
 });
@@ -476,18 +519,20 @@ test("generates attribute selectors with cross-pairs preserving hyphens", async
       property: 'padding',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
---space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem);
-    .box[data-space="xs"] {
-    padding: var(--space-xs)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+    --space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
 }
+    .box[data-space="xs"] {
+        padding: var(--space-xs)
+    }
     .box[data-space="sm"] {
-    padding: var(--space-sm)
-}
+        padding: var(--space-sm)
+    }
     .box[data-space="xs-sm"] {
-    padding: var(--space-xs-sm)
-}`,
+        padding: var(--space-xs-sm)
+    }`,
     {},
   );
 });
@@ -562,14 +607,16 @@ test("generates utilities with :where() wrapper when lowSpecificity is true", as
       scale: 'space',
       lowSpecificity: true
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
-    :where(.gap-xs) {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
 }
+    :where(.gap-xs) {
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
     :where(.gap-sm) {
-    gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}`,
+        gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -590,14 +637,16 @@ test("generates attribute utilities with :where() wrapper when lowSpecificity is
       scale: 'size',
       lowSpecificity: true
     });`,
-    `--size-xs: clamp(1rem, 0.2778vw + 0.9444rem, 1.25rem);
---size-sm: clamp(1.25rem, 0.2778vw + 1.1944rem, 1.5rem);
-    :where([data-size="xs"]) {
-    font-size: var(--size-xs)
+    `:root {
+    --size-xs: clamp(1rem, 0.2778vw + 0.9444rem, 1.25rem);
+    --size-sm: clamp(1.25rem, 0.2778vw + 1.1944rem, 1.5rem)
 }
+    :where([data-size="xs"]) {
+        font-size: var(--size-xs)
+    }
     :where([data-size="sm"]) {
-    font-size: var(--size-sm)
-}`,
+        font-size: var(--size-sm)
+    }`,
     {},
   );
 });
@@ -618,10 +667,12 @@ test("generates combined selector+attribute with :where() wrapper", async () =>
       scale: 'size',
       lowSpecificity: true
     });`,
-    `--size-md: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem);
+    `:root {
+    --size-md: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
+}
     :where(.heading[data-size="md"]) {
-    font-size: var(--size-md)
-}`,
+        font-size: var(--size-md)
+    }`,
     {},
   );
 });
@@ -641,10 +692,12 @@ test("generates parent context selector with :where() wrapper on child part", as
       scale: 'space',
       lowSpecificity: true
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     .container :where(&-xs) {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     {},
   );
 });
@@ -664,10 +717,12 @@ test("generates nested & selector with :where() wrapper", async () => {
       scale: 'space',
       lowSpecificity: true
     });`,
-    `--space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+    `:root {
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+}
     :where(&.active-sm) {
-    padding: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}`,
+        padding: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -686,10 +741,12 @@ test("applies lowSpecificity from global config", async () => {
       property: 'margin',
       scale: 'space'
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     :where(.m-xs) {
-    margin: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        margin: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     { lowSpecificity: true },
   );
 });
@@ -709,10 +766,12 @@ test("utility lowSpecificity parameter overrides global config", async () => {
       scale: 'space',
       lowSpecificity: false
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     .p-xs {
-    padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     { lowSpecificity: true },
   );
 });
@@ -734,18 +793,20 @@ test("generates cross-pairs with :where() wrapper", async () => {
       scale: 'space',
       lowSpecificity: true
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
---space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
---space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem);
-    :where(.gap-xs) {
-    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-sm: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+    --space-xs-sm: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
 }
+    :where(.gap-xs) {
+        gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
     :where(.gap-sm) {
-    gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
-}
+        gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+    }
     :where(.gap-xs-sm) {
-    gap: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
-}`,
+        gap: clamp(0.5rem, 1.1111vw + 0.2778rem, 1.5rem)
+    }`,
     {},
   );
 });
@@ -765,11 +826,13 @@ test("generates utilities with :where() and multiple properties", async () => {
       scale: 'space',
       lowSpecificity: true
     });`,
-    `--space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
     :where(.p-block-xs) {
-    padding-top: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
-    padding-bottom: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
-}`,
+        padding-top: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+        padding-bottom: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }`,
     {},
   );
 });
@@ -871,10 +934,248 @@ test("inline scale overrides config scale with same prefix", async () => {
       property: 'gap',
       scale: 'space'
     });`,
-    `--space-md: clamp(1.5rem, 1.6667vw + 1.1667rem, 3rem);
+    `:root {
+    --space-md: clamp(1.5rem, 1.6667vw + 1.1667rem, 3rem)
+}
     .gap-md {
-    gap: clamp(1.5rem, 1.6667vw + 1.1667rem, 3rem)
+        gap: clamp(1.5rem, 1.6667vw + 1.1667rem, 3rem)
+    }`,
+    {
+      scales: {
+        space: {
+          pairs: {
+            xs: [8, 16],
+          },
+        },
+      },
+    },
+  );
+});
+
+// Test modular (ratio-based) scale generation
+test("generates a modular scale from base, ratio and steps", async () => {
+  await run(
+    `@ruler scale({
+      prefix: 'font',
+      base: [16, 18],
+      ratio: [1.2, 1.25],
+      steps: [-1, 2]
+    });`,
+    `:root {
+    --font--1: clamp(0.8331rem, 0.0743vw + 0.8183rem, 0.9rem);
+    --font-0: clamp(1rem, 0.1389vw + 0.9722rem, 1.125rem);
+    --font-1: clamp(1.2rem, 0.2292vw + 1.1542rem, 1.4063rem);
+    --font-2: clamp(1.44rem, 0.3535vw + 1.3693rem, 1.7581rem)
+}`,
+    {},
+  );
+});
+
+test("modular scale applies per-step overrides", async () => {
+  await run(
+    `@ruler scale({
+      prefix: 'font',
+      base: [16, 18],
+      ratio: 1.25,
+      steps: [0, 1],
+      overrides: {
+        "1": [20, 24]
+      }
+    });`,
+    `:root {
+    --font-0: clamp(1rem, 0.1389vw + 0.9722rem, 1.125rem);
+    --font-1: clamp(1.25rem, 0.2778vw + 1.1944rem, 1.5rem)
+}`,
+    {},
+  );
+});
+
+test("config scales support modular definitions", async () => {
+  await run(
+    `@ruler utility({
+      selector: '.text',
+      property: 'font-size',
+      scale: 'step'
+    });`,
+    `.text-0 {
+    font-size: clamp(1rem, 0.2778vw + 0.9444rem, 1.25rem)
+}
+.text-1 {
+    font-size: clamp(1.5rem, 0.4167vw + 1.4167rem, 1.875rem)
+}`,
+    {
+      scales: {
+        step: {
+          base: [16, 20],
+          ratio: 1.5,
+          steps: [0, 1],
+        },
+      },
+    },
+  );
+});
+
+test("throws error when modular override is outside the step range", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({
+        prefix: 'font',
+        base: [16, 18],
+        ratio: 1.25,
+        steps: [0, 2],
+        overrides: { "5": [40, 48] }
+      });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.includes('Override step "5" is outside the step range'),
+    true,
+  );
+});
+
+// Test configurable root font size and output unit
+test("uses rootFontSize from plugin config for rem output", async () => {
+  await run(
+    `.element {
+  font-size: ruler.fluid(16, 24);
+  padding: ruler.fluid(20, 20);
+}`,
+    `.element {
+  font-size: clamp(1.6rem, 0.5556vw + 1.4222rem, 2.4rem);
+  padding: 2rem;
+}`,
+    { rootFontSize: 10 },
+  );
+});
+
+test("scale unit option outputs px values", async () => {
+  await run(
+    `@ruler scale({
+      prefix: 'space',
+      unit: 'px',
+      pairs: {
+        "xs": [8, 16],
+        "fixed": [24, 24]
+      }
+    });`,
+    `:root {
+    --space-xs: clamp(8px, 0.5556vw + 6.2222px, 16px);
+    --space-fixed: 24px
+}`,
+    {},
+  );
+});
+
+test("config scales support unit and rootFontSize", async () => {
+  await run(
+    `@ruler utility({
+      selector: '.gap',
+      property: 'gap',
+      scale: 'space'
+    });`,
+    `.gap-xs {
+    gap: clamp(0.4em, 0.5556vw + 0.3111em, 0.8em)
+}`,
+    {
+      scales: {
+        space: {
+          unit: "em",
+          rootFontSize: 20,
+          pairs: {
+            xs: [8, 16],
+          },
+        },
+      },
+    },
+  );
+});
+
+test("inline function accepts unit and rootFontSize options", async () => {
+  await run(
+    `.element {
+  font-size: ruler.fluid(16, 24, unit: em, rootFontSize: 20);
+  margin: ruler.fluid(8, 16, 320, 1200, unit: px);
+}`,
+    `.element {
+  font-size: clamp(0.8em, 0.5556vw + 0.7111em, 1.2em);
+  margin: clamp(8px, 0.9091vw + 5.0909px, 16px);
 }`,
+    {},
+  );
+});
+
+test("throws error for unsupported output unit", async () => {
+  let error;
+  try {
+    await run(
+      `.element {
+  font-size: ruler.fluid(16, 24, unit: pt);
+}`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('Invalid unit "pt"'), true);
+});
+
+// Test container-query and alternate viewport units
+test("scale viewportUnit option outputs container query units", async () => {
+  await run(
+    `@ruler scale({
+      prefix: 'space',
+      viewportUnit: 'cqi',
+      minWidth: 300,
+      maxWidth: 900,
+      pairs: {
+        "xs": [8, 16]
+      }
+    });`,
+    `:root {
+    --space-xs: clamp(0.5rem, 1.3333cqi + 0.25rem, 1rem)
+}`,
+    {},
+  );
+});
+
+test("inline function accepts a viewportUnit option", async () => {
+  await run(
+    `.element {
+  font-size: ruler.fluid(16, 24, viewportUnit: dvw);
+}`,
+    `.element {
+  font-size: clamp(1rem, 0.5556dvw + 0.8889rem, 1.5rem);
+}`,
+    {},
+  );
+});
+
+test("utility viewportUnit recalculates values from the scale", async () => {
+  await run(
+    `@ruler utility({
+      selector: '.gap',
+      property: 'gap',
+      scale: 'space',
+      viewportUnit: 'cqw'
+    });
+    @ruler utility({
+      attribute: 'data-gap',
+      property: 'gap',
+      scale: 'space',
+      viewportUnit: 'cqw'
+    });`,
+    `.gap-xs {
+    gap: clamp(0.5rem, 0.5556cqw + 0.3889rem, 1rem)
+}
+    [data-gap="xs"] {
+        gap: clamp(0.5rem, 0.5556cqw + 0.3889rem, 1rem)
+    }`,
     {
       scales: {
         space: {
@@ -886,3 +1187,1971 @@ test("inline scale overrides config scale with same prefix", async () => {
     },
   );
 });
+
+test("uses viewportUnit from plugin config", async () => {
+  await run(
+    `.element {
+  padding: ruler.fluid(16, 24);
+}`,
+    `.element {
+  padding: clamp(1rem, 0.5556svw + 0.8889rem, 1.5rem);
+}`,
+    { viewportUnit: "svw" },
+  );
+});
+
+test("throws error for unsupported viewportUnit", async () => {
+  let error;
+  try {
+    await run(
+      `.element {
+  font-size: ruler.fluid(16, 24, viewportUnit: vh);
+}`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('Invalid viewportUnit "vh"'), true);
+});
+
+// Test object-literal argument parsing
+test("parses comments, trailing commas, decimals and unquoted keys", async () => {
+  await run(
+    `@ruler scale({prefix: 'space', // spacing tokens
+      pairs: {
+        2xs: [.5, 1],
+        "x-large": [32, 48],
+        'md:wide': [24, 32,],
+      },
+    });`,
+    `:root {
+    --space-2xs: clamp(0.0313rem, 0.0347vw + 0.0243rem, 0.0625rem);
+    --space-x-large: clamp(2rem, 1.1111vw + 1.7778rem, 3rem);
+    --space-md:wide: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)
+}`,
+    {},
+  );
+});
+
+test("throws error on unknown at-rule option", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({
+        prefix: 'space',
+        pair: { "xs": [8, 16] }
+      });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('Unknown @ruler scale() option "pair"'), true);
+});
+
+test("throws error on option with the wrong type", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({
+        prefix: 'space',
+        minWidth: '320',
+        pairs: { "xs": [8, 16] }
+      });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.includes(
+      '@ruler scale() option "minWidth" must be a number, got "320"',
+    ),
+    true,
+  );
+});
+
+test("throws error with position on unbalanced brackets", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({
+  prefix: 'space',
+  pairs: { "xs": [8, 16 }
+});`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason,
+    'Invalid @ruler scale() arguments: Unexpected "}", expected "," or "]" to close "[" from line 3, column 18',
+  );
+  equal(error.line, 3);
+  equal(error.column, 25);
+});
+
+test("throws error on unquoted string values", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler utility({
+        selector: .gap,
+        property: 'gap',
+        scale: 'space'
+      });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes("Invalid @ruler utility() arguments"), true);
+});
+
+test("validates config scale options", async () => {
+  let error;
+  try {
+    await run(`.a {}`, "", {
+      scales: { space: { pairs: { xs: [8] } } },
+    });
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.includes('config.scales.space option "pairs" must be'),
+    true,
+  );
+});
+
+// Test source-located errors and non-fatal warning mode
+test("reports errors at the source position of the at-rule", async () => {
+  let error;
+  try {
+    await run(
+      `.a {}
+@ruler utility({
+  selector: '.gap',
+  property: 'gap',
+  scale: 'missing'
+});`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.name, "CssSyntaxError");
+  equal(error.plugin, "postcss-ruler");
+  equal(error.line, 2);
+  equal(error.column, 1);
+});
+
+test("reports inline function errors at the offending call", async () => {
+  let error;
+  try {
+    await run(
+      `.element {
+  margin: ruler.fluid(16, 24) ruler.fluid(16, 4pt);
+}`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.name, "CssSyntaxError");
+  equal(error.line, 2);
+  equal(error.column, 31);
+});
+
+test("strict: false warns and skips invalid nodes", async () => {
+  const result = await postcss([plugin({ strict: false })]).process(
+    `@ruler utility({
+  selector: '.gap',
+  property: 'gap',
+  scale: 'missing'
+});
+.element {
+  padding: ruler.fluid(16, 24, 1200, 320);
+  margin: ruler.fluid(16, 24);
+}`,
+    { from: undefined },
+  );
+  equal(
+    result.css,
+    `.element {
+  margin: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+}`,
+  );
+  const warnings = result.warnings();
+  equal(warnings.length, 2);
+  equal(warnings[0].plugin, "postcss-ruler");
+  equal(warnings[0].line, 1);
+  equal(warnings[0].text.includes('Scale "missing" not found'), true);
+  equal(warnings[1].line, 7);
+  equal(warnings[1].column, 12);
+});
+
+// Test loading scales from design token files
+const tokenDir = fs.mkdtempSync(path.join(os.tmpdir(), "postcss-ruler-"));
+after(() => fs.rmSync(tokenDir, { recursive: true, force: true }));
+
+/**
+ * Writes a token file to the temporary test directory
+ * @param {string} name - File name
+ * @param {Object} tokens - Token document
+ * @returns {string} Absolute file path
+ */
+function writeTokens(name, tokens) {
+  const file = path.join(tokenDir, name);
+  fs.writeFileSync(file, JSON.stringify(tokens));
+  return file;
+}
+
+test("loads config scales from a DTCG token file", async () => {
+  const file = writeTokens("dtcg.json", {
+    space: {
+      $type: "dimension",
+      xs: {
+        min: { $value: "8px" },
+        max: { $value: "1rem" },
+      },
+      sm: {
+        $value: "24px",
+        $extensions: { "postcss-ruler": { min: "{space.xs.max}", max: 24 } },
+      },
+    },
+  });
+
+  const result = await postcss([plugin({ scales: file })]).process(
+    `@ruler utility({
+      selector: '.gap',
+      property: 'gap',
+      scale: 'space'
+    });`,
+    { from: undefined },
+  );
+
+  equal(
+    result.css,
+    `.gap-xs {
+    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
+.gap-sm {
+    gap: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem)
+}`,
+  );
+  deepEqual(
+    result.messages.filter((message) => message.type === "dependency"),
+    [{ type: "dependency", plugin: "postcss-ruler", file, parent: undefined }],
+  );
+});
+
+test("@ruler import() loads Tokens Studio files relative to the CSS file", async () => {
+  writeTokens("studio.json", {
+    font: {
+      $extensions: { "postcss-ruler": { minWidth: 400, maxWidth: 1000 } },
+      base: {
+        min: { value: "16", type: "fontSizes" },
+        max: { value: "24", type: "fontSizes" },
+      },
+    },
+  });
+
+  const from = path.join(tokenDir, "styles.css");
+  const result = await postcss([plugin()]).process(
+    `@ruler import("./studio.json");
+@ruler utility({
+  selector: '.text',
+  property: 'font-size',
+  scale: 'font'
+});`,
+    { from },
+  );
+
+  equal(
+    result.css,
+    `.text-base {
+    font-size: clamp(1rem, 1.3333vw + 0.6667rem, 1.5rem)
+}`,
+  );
+  deepEqual(result.messages, [
+    {
+      type: "dependency",
+      plugin: "postcss-ruler",
+      file: path.join(tokenDir, "studio.json"),
+      parent: from,
+    },
+  ]);
+});
+
+test("reloads config token files when they change", async () => {
+  const file = writeTokens("reload.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+  });
+  const processor = postcss([plugin({ scales: file })]);
+  const input = `@ruler utility({
+  selector: '.gap',
+  property: 'gap',
+  scale: 'space'
+});`;
+
+  await processor.process(input, { from: undefined });
+  writeTokens("reload.json", {
+    space: { md: { min: { $value: 24 }, max: { $value: 32 } } },
+  });
+  const mtime = new Date(Date.now() + 5000);
+  fs.utimesSync(file, mtime, mtime);
+
+  const result = await processor.process(input, { from: undefined });
+  equal(
+    result.css.includes(
+      ".gap-md {\n    gap: clamp(1.5rem, 0.5556vw + 1.3889rem, 2rem)\n}",
+    ),
+    true,
+  );
+});
+
+test("reports config token files deleted in watch mode", async () => {
+  const file = writeTokens("deleted.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+  });
+  const processor = postcss([plugin({ scales: file })]);
+  await processor.process(`@ruler tokens();`, { from: undefined });
+
+  fs.rmSync(file);
+  let error;
+  try {
+    await processor.process(`@ruler tokens();`, { from: undefined });
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.startsWith(
+      `[postcss-ruler] Could not read token file "${file}": ENOENT`,
+    ),
+    true,
+  );
+
+  // Restoring the file makes the next run load it again
+  writeTokens("deleted.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+  });
+  const result = await processor.process(`@ruler tokens();`, {
+    from: undefined,
+  });
+  equal(
+    result.css,
+    ":root {\n    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)\n}",
+  );
+});
+
+test("throws error for invalid token values", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler import("${writeTokens("invalid.json", {
+        space: { xs: { min: { $value: "8pt" }, max: { $value: "16px" } } },
+      })}");`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.includes('Token "space.xs.min" has unsupported value "8pt"'),
+    true,
+  );
+});
+
+// Test exporting scale manifests
+test("exports resolved scales as JSON, TypeScript and SCSS", async () => {
+  const dir = path.join(tokenDir, "manifest");
+  await postcss([
+    plugin({
+      export: [
+        path.join(dir, "scales.json"),
+        path.join(dir, "scales.ts"),
+        { file: path.join(dir, "scales.txt"), format: "scss" },
+      ],
+      scales: { space: { pairs: { xs: [8, 16] } } },
+    }),
+  ]).process(
+    `@ruler scale({
+      prefix: 'font-size',
+      pairs: { "sm": [14, 16] }
+    });`,
+    { from: undefined },
+  );
+
+  deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "scales.json"))), {
+    space: {
+      xs: {
+        index: 0,
+        property: "--space-xs",
+        min: 8,
+        max: 16,
+        minWidth: 320,
+        maxWidth: 1760,
+        clamp: "clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)",
+      },
+    },
+    "font-size": {
+      sm: {
+        index: 0,
+        property: "--font-size-sm",
+        min: 14,
+        max: 16,
+        minWidth: 320,
+        maxWidth: 1760,
+        clamp: "clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem)",
+      },
+    },
+  });
+
+  const ts = fs.readFileSync(path.join(dir, "scales.ts"), "utf8");
+  equal(ts.includes("export const fontSize = {"), true);
+  equal(
+    ts.includes('const scales = { space, "font-size": fontSize } as const;'),
+    true,
+  );
+
+  const scss = fs.readFileSync(path.join(dir, "scales.txt"), "utf8");
+  equal(
+    scss.includes(
+      '"clamp": unquote("clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem)"),',
+    ),
+    true,
+  );
+  equal(scss.includes('"font-size": $ruler-font-size,'), true);
+});
+
+test("exports and lists modular steps in scale order", async () => {
+  const file = path.join(tokenDir, "manifest", "order.scss");
+  const options = {
+    export: file,
+    scales: { font: { base: [16, 16], ratio: 2, steps: [-1, 1] } },
+  };
+  await postcss([plugin(options)]).process("", { from: undefined });
+
+  const labels = (text) =>
+    [...text.matchAll(/^ {2}"([^"]+)": \($/gm)].map((match) => match[1]);
+  deepEqual(labels(fs.readFileSync(file, "utf8")), ["-1", "0", "1"]);
+
+  fs.writeFileSync(
+    path.join(tokenDir, "order.config.js"),
+    `module.exports = ${JSON.stringify({ scales: options.scales })};`,
+  );
+  const { stdout } = await runCli(["table", "--config", "order.config.js"]);
+  deepEqual(
+    stdout
+      .split("\n")
+      .slice(2, 5)
+      .map((line) => line.split(" ")[0]),
+    ["--font--1", "--font-0", "--font-1"],
+  );
+});
+
+test("throws error when export format cannot be inferred", () => {
+  let error;
+  try {
+    plugin({ export: "scales.txt" });
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('Cannot export "scales.txt"'), true);
+});
+
+// Test Tailwind theme preset
+const rulerTheme = require("./tailwind");
+
+test("tailwind preset maps scales to var() references", () => {
+  deepEqual(
+    rulerTheme({
+      scales: {
+        space: { pairs: { xs: [8, 16], sm: [16, 24] } },
+        font: { pairs: { base: [16, 18] } },
+      },
+      theme: { spacing: "space", fontSize: "font" },
+    }),
+    {
+      spacing: { xs: "var(--space-xs)", sm: "var(--space-sm)" },
+      fontSize: { base: "var(--font-base)" },
+    },
+  );
+});
+
+test("tailwind preset emits raw clamps and prefixes merged scales", () => {
+  deepEqual(
+    rulerTheme({
+      minWidth: 400,
+      maxWidth: 1000,
+      scales: {
+        space: { pairs: { xs: [8, 16] } },
+        gutter: { pairs: { md: [24, 24] } },
+      },
+      theme: { spacing: ["space", "gutter"] },
+      values: "clamp",
+    }),
+    {
+      spacing: {
+        "space-xs": "clamp(0.5rem, 1.3333vw + 0.1667rem, 1rem)",
+        "gutter-md": "1.5rem",
+      },
+    },
+  );
+});
+
+test("tailwind preset throws error for unknown scales", () => {
+  let error;
+  try {
+    rulerTheme({ theme: { spacing: "space" } });
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.includes(
+      'Scale "space" for Tailwind theme key "spacing" not found',
+    ),
+    true,
+  );
+});
+
+// Test unit-aware, zero-safe and negative inline arguments
+test("inline function accepts px, rem and em arguments", async () => {
+  await run(
+    `.element {
+  font-size: ruler.fluid(16px, 1.5rem);
+  padding: ruler.fluid(1em, 24, 320px, 1760px);
+}`,
+    `.element {
+  font-size: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+  padding: clamp(1rem, 0.5556vw + 0.8889rem, 1.5rem);
+}`,
+    {},
+  );
+});
+
+test("inline function converts rem arguments with rootFontSize", async () => {
+  await run(
+    `.element {
+  font-size: ruler.fluid(1.6rem, 2.4rem, rootFontSize: 10);
+}`,
+    `.element {
+  font-size: clamp(1.6rem, 0.5556vw + 1.4222rem, 2.4rem);
+}`,
+    {},
+  );
+});
+
+test("inline function allows zero sizes", async () => {
+  await run(
+    `.element {
+  margin-top: ruler.fluid(0, 24);
+  gap: ruler.fluid(0, 0);
+}`,
+    `.element {
+  margin-top: clamp(0rem, 1.6667vw + -0.3333rem, 1.5rem);
+  gap: 0rem;
+}`,
+    {},
+  );
+});
+
+test("inline function supports negative values", async () => {
+  await run(
+    `.element {
+  margin-top: ruler.fluid(-16, -32);
+}`,
+    `.element {
+  margin-top: clamp(-2rem, -1.1111vw + -0.7778rem, -1rem);
+}`,
+    {},
+  );
+});
+
+test("throws error for invalid inline argument", async () => {
+  let error;
+  try {
+    await run(
+      `.element {
+  font-size: ruler.fluid(16, 24vw);
+}`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('Invalid ruler.fluid() argument "24vw"'), true);
+});
+
+// Test inline scale references
+test("ruler.step() resolves to a custom property or the raw clamp", async () => {
+  await run(
+    `.element {
+  gap: ruler.step(space, md);
+  padding: ruler.step('space', xs, valueMode: inline);
+}`,
+    `.element {
+  gap: var(--space-md);
+  padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}`,
+    {
+      scales: {
+        space: { pairs: { xs: [8, 16], md: [24, 32] } },
+      },
+    },
+  );
+});
+
+test("ruler.between() interpolates between two steps", async () => {
+  await run(
+    `@ruler scale({
+  prefix: 'space',
+  pairs: {
+    "xs": [8, 16],
+    "xl": [32, 48]
+  }
+});
+.hero {
+  padding-block: ruler.between(space, xs, xl);
+}`,
+    `:root {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+  --space-xl: clamp(2rem, 1.1111vw + 1.7778rem, 3rem);
+}
+.hero {
+  padding-block: clamp(0.5rem, 2.7778vw + -0.0556rem, 3rem);
+}`,
+    {},
+  );
+});
+
+test("throws error for unknown steps in inline references", async () => {
+  let error;
+  try {
+    await run(
+      `.element {
+  gap: ruler.step(space, xxl);
+}`,
+      "",
+      { scales: { space: { pairs: { xs: [8, 16], md: [24, 32] } } } },
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.message.includes(
+      'Step "xxl" not found in scale "space". Available steps: xs, md',
+    ),
+    true,
+  );
+});
+
+test("throws error for unknown scales in inline references", async () => {
+  let error;
+  try {
+    await run(
+      `.element {
+  gap: ruler.between(spacing, xs, md);
+}`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('Scale "spacing" not found'), true);
+});
+
+// Test the WCAG 1.4.4 zoom check
+test("checkZoom warns about fluid values that barely grow when zoomed", async () => {
+  const result = await postcss([plugin({ checkZoom: "warn" })]).process(
+    `@ruler scale({
+  prefix: 'font',
+  pairs: {
+    "base": [16, 20],
+    "xl": [32, 96]
+  }
+});
+.element {
+  font-size: ruler.fluid(16, 64);
+}`,
+    { from: undefined },
+  );
+  const warnings = result.warnings();
+  equal(warnings.length, 2);
+  equal(warnings[0].line, 1);
+  equal(
+    warnings[0].text.startsWith(
+      'Scale "font" step "xl" (32px → 96px) only grows 1.74× at 500% zoom',
+    ),
+    true,
+  );
+  equal(warnings[1].line, 9);
+  equal(warnings[1].column, 14);
+  equal(warnings[1].text.startsWith("ruler.fluid(16, 64) (16px → 64px)"), true);
+});
+
+test("checkZoom passes gentle ranges and can be set per scale", async () => {
+  await run(
+    `@ruler scale({
+  prefix: 'font',
+  checkZoom: 'error',
+  pairs: { "base": [16, 20] }
+});
+@ruler scale({
+  prefix: 'hero',
+  checkZoom: false,
+  pairs: { "xl": [32, 96] }
+});`,
+    `:root {
+    --font-base: clamp(1rem, 0.2778vw + 0.9444rem, 1.25rem)
+}
+:root {
+    --hero-xl: clamp(2rem, 4.4444vw + 1.1111rem, 6rem)
+}`,
+    { checkZoom: "warn" },
+  );
+});
+
+test('checkZoom: "error" fails the build at the offending step', async () => {
+  let error;
+  try {
+    await run(
+      `.a {}
+@ruler scale({ prefix: 'font', pairs: { "xl": [32, 96] } });`,
+      "",
+      { checkZoom: "error" },
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.name, "CssSyntaxError");
+  equal(error.line, 2);
+  equal(error.reason.includes('Scale "font" step "xl"'), true);
+});
+
+test("checkZoom reports config scales once", async () => {
+  const processor = postcss([
+    plugin({
+      checkZoom: true,
+      scales: { font: { pairs: { xl: [32, 96] } } },
+    }),
+  ]);
+  const first = await processor.process("a {}", { from: undefined });
+  const second = await processor.process("a {}", { from: undefined });
+  equal(first.warnings().length, 1);
+  equal(second.warnings().length, 0);
+});
+
+// Test scale output wrapping
+test("keeps scale declarations bare inside a rule", async () => {
+  await run(
+    `.theme {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}`,
+    `.theme {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}`,
+    {},
+  );
+});
+
+test("keeps scale declarations bare in group rules nested in a rule", async () => {
+  await run(
+    `.card {
+  @media (min-width: 1px) {
+    @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+  }
+}
+.theme {
+  @ruler scale({ prefix: 'font', layer: 'base', pairs: { "sm": [14, 16] } });
+}`,
+    `.card {
+  @media (min-width: 1px) {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+  }
+}
+.theme {
+  @layer base {
+    --font-sm: clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem);
+  }
+}`,
+    { layer: "tokens" },
+  );
+});
+
+test("wraps top-level scales in a configurable selector and layer", async () => {
+  await run(
+    `@ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+@ruler scale({
+  prefix: 'font',
+  selector: '.theme',
+  layer: 'base',
+  pairs: { "sm": [14, 16] }
+});`,
+    `@layer tokens {
+    :root {
+        --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
+}
+@layer base {
+    .theme {
+        --font-sm: clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem)
+    }
+}`,
+    { layer: "tokens" },
+  );
+});
+
+test("throws error for invalid plugin scale options", () => {
+  let error;
+  try {
+    plugin({ layer: 1 });
+  } catch (e) {
+    error = e;
+  }
+  equal(error.message.includes('plugin option "layer" must be a string'), true);
+});
+
+// Test utility layers
+test("wraps utilities in a cascade layer next to lowSpecificity", async () => {
+  await run(
+    `.card {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({
+  selector: '.gap',
+  property: 'gap',
+  scale: 'space',
+  lowSpecificity: true,
+  layer: 'components'
+});
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space' });`,
+    `.card {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+@layer components {
+  :where(.gap-xs) {
+    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+  }
+}
+@layer utilities {
+  .p-xs {
+    padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+  }
+}`,
+    { utilityLayer: "utilities" },
+  );
+});
+
+test("prepends the layer order to files with generated layers", async () => {
+  await run(
+    `@ruler scale({ prefix: 'space', layer: 'tokens', pairs: { "xs": [8, 8] } });`,
+    `@layer tokens, utilities;
+@layer tokens {
+    :root {
+        --space-xs: 0.5rem
+    }
+}`,
+    { layerOrder: ["tokens", "utilities"] },
+  );
+  await run(".a {}", ".a {}", { layerOrder: ["tokens", "utilities"] });
+});
+
+test("throws error for invalid layer names", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({ prefix: 'space', layer: 'my tokens', pairs: { "xs": [8, 16] } });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(error.reason.startsWith('Invalid layer name "my tokens"'), true);
+});
+
+// Test breakpoint variants
+test("generates breakpoint variants in media and container blocks", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({
+  selector: '.gap',
+  property: 'gap',
+  scale: 'space',
+  breakpoints: ['md', '@card']
+});`,
+    `.a {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+.gap-xs {
+  gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+@media (min-width: 48rem) {
+  .md\\:gap-xs {
+    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+  }
+}
+@container (min-width: 400px) {
+  .\\@card\\:gap-xs {
+    gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+  }
+}`,
+    { breakpoints: { sm: 640, md: "48rem" }, containers: { card: 400 } },
+  );
+});
+
+test("generates attribute breakpoint variants as token lists", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({
+  attribute: 'data-gap',
+  property: 'gap',
+  scale: 'space',
+  lowSpecificity: true,
+  breakpoints: true
+});`,
+    `.a {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+:where([data-gap~="xs"]) {
+  gap: var(--space-xs);
+}
+@media (min-width: 768px) {
+  :where([data-gap~="md:xs"]) {
+    gap: var(--space-xs);
+  }
+}`,
+    { breakpoints: { md: 768 } },
+  );
+});
+
+test("throws error for unknown breakpoints", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.gap', property: 'gap', scale: 'space', breakpoints: ['xl'] });`,
+      "",
+      { breakpoints: { md: 768 }, containers: { card: 400 } },
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason,
+    'Breakpoint "xl" not found. Available breakpoints: md, @card',
+  );
+});
+
+// Test state variants
+test("generates state variants with the pseudo-class outside :where()", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({
+  selector: '.gap',
+  property: 'gap',
+  scale: 'space',
+  lowSpecificity: true,
+  states: ['hover', 'group-hover', '[aria-expanded=true]']
+});`,
+    `.a {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+:where(.gap-xs) {
+  gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+:where(.hover\\:gap-xs):hover {
+  gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+:where(.group):hover :where(.group-hover\\:gap-xs) {
+  gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+:where(.\\[aria-expanded\\=true\\]\\:gap-xs)[aria-expanded=true] {
+  gap: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}`,
+    {},
+  );
+});
+
+test("combines attribute state variants with breakpoints", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({
+  attribute: 'data-gap',
+  property: 'gap',
+  scale: 'space',
+  breakpoints: ['md'],
+  states: ['focus-visible']
+});`,
+    `.a {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+[data-gap~="xs"] {
+  gap: var(--space-xs);
+}
+[data-gap~="focus-visible:xs"]:focus-visible {
+  gap: var(--space-xs);
+}
+@media (min-width: 768px) {
+  [data-gap~="md:xs"] {
+    gap: var(--space-xs);
+  }
+  [data-gap~="md:focus-visible:xs"]:focus-visible {
+    gap: var(--space-xs);
+  }
+}`,
+    { breakpoints: { md: 768 } },
+  );
+});
+
+test("throws error for invalid states", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.gap', property: 'gap', scale: 'space', states: [':hover'] });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason.startsWith('Invalid @ruler utility() state ":hover"'),
+    true,
+  );
+});
+
+// Test directional utility families
+test("expands axes into physical or logical utility families", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 8] } });
+}
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', axes: 'physical' });
+@ruler utility({ attribute: 'data-m', property: 'margin', scale: 'space', axes: 'logical' });`,
+    `.a {
+  --space-xs: 0.5rem;
+}
+.p-xs {
+  padding: 0.5rem;
+}
+.p-x-xs {
+  padding-left: 0.5rem;
+  padding-right: 0.5rem;
+}
+.p-y-xs {
+  padding-top: 0.5rem;
+  padding-bottom: 0.5rem;
+}
+.p-t-xs {
+  padding-top: 0.5rem;
+}
+.p-r-xs {
+  padding-right: 0.5rem;
+}
+.p-b-xs {
+  padding-bottom: 0.5rem;
+}
+.p-l-xs {
+  padding-left: 0.5rem;
+}
+[data-m="xs"] {
+  margin: var(--space-xs);
+}
+[data-m-x="xs"] {
+  margin-inline: var(--space-xs);
+}
+[data-m-y="xs"] {
+  margin-block: var(--space-xs);
+}
+[data-m-t="xs"] {
+  margin-block-start: var(--space-xs);
+}
+[data-m-b="xs"] {
+  margin-block-end: var(--space-xs);
+}
+[data-m-s="xs"] {
+  margin-inline-start: var(--space-xs);
+}
+[data-m-e="xs"] {
+  margin-inline-end: var(--space-xs);
+}`,
+    {},
+  );
+});
+
+test("expands border-width axes and rejects unsupported properties", async () => {
+  await run(
+    `@ruler scale({ prefix: 'space', pairs: { "xs": [1, 1] } });
+@ruler utility({ selector: '.bw', property: 'border-width', scale: 'space', axes: 'logical', only: ['xs'] });`,
+    `:root {
+    --space-xs: 0.0625rem
+}
+.bw-xs {
+    border-width: 0.0625rem
+}
+.bw-x-xs {
+    border-inline-width: 0.0625rem
+}
+.bw-y-xs {
+    border-block-width: 0.0625rem
+}
+.bw-t-xs {
+    border-block-start-width: 0.0625rem
+}
+.bw-b-xs {
+    border-block-end-width: 0.0625rem
+}
+.bw-s-xs {
+    border-inline-start-width: 0.0625rem
+}
+.bw-e-xs {
+    border-inline-end-width: 0.0625rem
+}`,
+    {},
+  );
+
+  let error;
+  try {
+    await run(
+      `@ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.r', property: 'border-radius', scale: 'space', axes: 'physical' });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason,
+    '@ruler utility() axes does not support "border-radius". Supported properties: margin, padding, inset, scroll-margin, scroll-padding, border-width',
+  );
+});
+
+test("accepts a map of selector suffixes to properties", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 8] } });
+}
+@ruler utility({
+  selector: '.gap',
+  scale: 'space',
+  property: { "": 'gap', "-x": 'column-gap', "-y": ['row-gap'] }
+});`,
+    `.a {
+  --space-xs: 0.5rem;
+}
+.gap-xs {
+  gap: 0.5rem;
+}
+.gap-x-xs {
+  column-gap: 0.5rem;
+}
+.gap-y-xs {
+  row-gap: 0.5rem;
+}`,
+    {},
+  );
+});
+
+test("throws error for unknown axes naming", async () => {
+  let error;
+  try {
+    await run(
+      `@ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', axes: 'diagonal' });`,
+      "",
+      {},
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason,
+    '@ruler utility() axes must be "physical" or "logical", got "diagonal"',
+  );
+});
+
+// Test negative utilities
+test("generates negative utilities with negated clamps", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({ selector: '.m', property: 'margin', scale: 'space', negative: true });
+@ruler utility({
+  selector: '.inset',
+  property: 'inset',
+  scale: 'space',
+  negative: true,
+  negativePrefix: 'neg:'
+});`,
+    `.a {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+.m-xs {
+  margin: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+.-m-xs {
+  margin: clamp(-1rem, -0.5556vw + -0.3889rem, -0.5rem);
+}
+.inset-xs {
+  inset: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+.neg\\:inset-xs {
+  inset: clamp(-1rem, -0.5556vw + -0.3889rem, -0.5rem);
+}`,
+    {},
+  );
+});
+
+test("generates negative attribute values with calc()", async () => {
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+}
+@ruler utility({ attribute: 'data-m', property: 'margin', scale: 'space', negative: true });`,
+    `.a {
+  --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+[data-m="xs"] {
+  margin: var(--space-xs);
+}
+[data-m="-xs"] {
+  margin: calc(-1 * var(--space-xs));
+}`,
+    {},
+  );
+});
+
+// Test utility value modes
+test("valueMode switches between var() references and inline clamps", async () => {
+  await run(
+    `@ruler scale({ prefix: 'space', pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.gap', property: 'gap', scale: 'space', negative: true });
+@ruler utility({ attribute: 'data-p', property: 'padding', scale: 'space', valueMode: 'inline' });`,
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
+.gap-xs {
+    gap: var(--space-xs)
+}
+.-gap-xs {
+    gap: calc(-1 * var(--space-xs))
+}
+[data-p="xs"] {
+    padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}`,
+    { valueMode: "var" },
+  );
+});
+
+test("warns when var() utilities reference scales the file does not emit", async () => {
+  const result = await postcss([
+    plugin({ scales: { space: { pairs: { xs: [8, 16] } } } }),
+  ]).process(
+    `@ruler utility({ selector: '.gap', property: 'gap', scale: 'space', valueMode: 'var' });
+@ruler utility({ selector: '.m', property: 'margin', scale: 'space' });`,
+    { from: undefined },
+  );
+  const warnings = result.warnings();
+  equal(warnings.length, 1);
+  equal(warnings[0].line, 1);
+  equal(
+    warnings[0].text.startsWith(
+      'Utilities reference var(--space-*), but scale "space" is not emitted as custom properties in this file',
+    ),
+    true,
+  );
+});
+
+test("checks var() references against the file only, in any processing order", async () => {
+  const instance = plugin({ scales: { s: { pairs: { xs: [8, 16] } } } });
+  const files = {
+    "a.css": "@ruler tokens();",
+    "b.css":
+      "@ruler utility({ attribute: 'data-s', property: 'gap', scale: 's' });",
+    "c.css": `@ruler tokens(s);
+@ruler utility({ attribute: 'data-s', property: 'gap', scale: 's' });`,
+  };
+
+  for (const order of [
+    ["a.css", "b.css", "c.css"],
+    ["c.css", "b.css", "a.css"],
+  ]) {
+    const warned = [];
+    for (const file of order) {
+      const result = await postcss([instance]).process(files[file], {
+        from: path.join(tokenDir, file),
+      });
+      if (result.warnings().length > 0) warned.push(file);
+    }
+    deepEqual(warned, ["b.css"]);
+  }
+});
+
+// Test content scanning
+test("content scanning emits only utilities used in templates", async () => {
+  const contentDir = path.join(tokenDir, "content");
+  fs.mkdirSync(path.join(contentDir, "components"), { recursive: true });
+  fs.writeFileSync(
+    path.join(contentDir, "index.html"),
+    '<div class="gap-sm md:gap-lg" data-p="xs md:sm"></div>',
+  );
+  fs.writeFileSync(
+    path.join(contentDir, "components", "Card.jsx"),
+    "export const Card = () => <div className={`-m-xs`} />;",
+  );
+  fs.writeFileSync(path.join(contentDir, "notes.txt"), "gap-xs");
+
+  const result = await postcss([
+    plugin({
+      content: path.join(contentDir, "**", "*.{html,jsx}"),
+      safelist: ["gap-xs", /^data-p=l/],
+      breakpoints: { md: 768 },
+    }),
+  ]).process(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 8], "sm": [16, 16], "lg": [32, 32] } });
+}
+@ruler utility({ selector: '.gap', property: 'gap', scale: 'space', breakpoints: ['md'] });
+@ruler utility({ selector: '.m', property: 'margin', scale: 'space', negative: true });
+@ruler utility({ attribute: 'data-p', property: 'padding', scale: 'space', breakpoints: ['md'] });`,
+    { from: undefined },
+  );
+
+  equal(
+    result.css,
+    `.a {
+  --space-xs: 0.5rem;
+  --space-sm: 1rem;
+  --space-lg: 2rem;
+}
+.gap-xs {
+  gap: 0.5rem;
+}
+.gap-sm {
+  gap: 1rem;
+}
+@media (min-width: 768px) {
+  .md\\:gap-lg {
+    gap: 2rem;
+  }
+}
+.-m-xs {
+  margin: -0.5rem;
+}
+[data-p~="xs"] {
+  padding: var(--space-xs);
+}
+[data-p~="lg"] {
+  padding: var(--space-lg);
+}
+@media (min-width: 768px) {
+  [data-p~="md:sm"] {
+    padding: var(--space-sm);
+  }
+}`,
+  );
+  deepEqual(
+    result.messages
+      .filter((message) => message.type === "dependency")
+      .map((message) => path.relative(contentDir, message.file)),
+    [path.join("components", "Card.jsx"), "index.html"],
+  );
+  equal(
+    result.messages.find((message) => message.type === "dir-dependency").dir,
+    contentDir.split(path.sep).join("/"),
+  );
+});
+
+test("content scanning only adds dependencies to roots with utilities", async () => {
+  const contentDir = path.join(tokenDir, "lazy-content");
+  fs.mkdirSync(contentDir, { recursive: true });
+  fs.writeFileSync(path.join(contentDir, "index.html"), '<p class="p-xs">');
+
+  const processor = postcss([
+    plugin({
+      content: path.join(contentDir, "*.html"),
+      scales: { space: { pairs: { xs: [8, 8], sm: [16, 16] } } },
+    }),
+  ]);
+  const dependencies = (result) =>
+    result.messages.filter((message) =>
+      ["dependency", "dir-dependency"].includes(message.type),
+    ).length;
+
+  const vendor = await processor.process(`.vendor { color: red; }`, {
+    from: "vendor.css",
+  });
+  equal(dependencies(vendor), 0);
+
+  const utilities = await processor.process(
+    `@ruler utility({ selector: '.p', property: 'padding', scale: 'space' });
+@ruler utility({ selector: '.m', property: 'margin', scale: 'space' });`,
+    { from: "utilities.css" },
+  );
+  equal(utilities.css, ".p-xs {\n    padding: 0.5rem\n}");
+  equal(dependencies(utilities), 2);
+});
+
+test("content globs convert wildcards inside brace alternatives", async () => {
+  const contentDir = path.join(tokenDir, "brace-content");
+  fs.mkdirSync(contentDir, { recursive: true });
+  fs.writeFileSync(path.join(contentDir, "page.html"), '<p class="m-xs">');
+  fs.writeFileSync(path.join(contentDir, "App.jsx"), "<p className='m-sm' />");
+  fs.writeFileSync(path.join(contentDir, "notes.txt"), "m-lg");
+
+  await run(
+    `.a {
+  @ruler scale({ prefix: 'space', pairs: { "xs": [8, 8], "sm": [16, 16], "lg": [32, 32] } });
+}
+@ruler utility({ selector: '.m', property: 'margin', scale: 'space' });`,
+    `.a {
+  --space-xs: 0.5rem;
+  --space-sm: 1rem;
+  --space-lg: 2rem;
+}
+.m-xs {
+  margin: 0.5rem;
+}
+.m-sm {
+  margin: 1rem;
+}`,
+    { content: [`${contentDir.split(path.sep).join("/")}/{*.html,A?p.*}`] },
+  );
+});
+
+// Test cross pair strategies and step selection
+test("keeps hyphenated steps when excluding cross pairs", async () => {
+  await run(
+    `.a {
+  @ruler scale({
+    prefix: 'space',
+    crossPairs: 'adjacent',
+    pairs: { "x-small": [4, 4], "small": [8, 8], "large": [16, 16] }
+  });
+}
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', generateAllCrossPairs: false });`,
+    `.a {
+  --space-x-small: 0.25rem;
+  --space-small: 0.5rem;
+  --space-large: 1rem;
+  --space-x-small-small: clamp(0.25rem, 0.2778vw + 0.1944rem, 0.5rem);
+  --space-small-large: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+}
+.p-x-small {
+  padding: 0.25rem;
+}
+.p-small {
+  padding: 0.5rem;
+}
+.p-large {
+  padding: 1rem;
+}`,
+    {},
+  );
+});
+
+test("generates explicit cross pairs and filters utility steps", async () => {
+  await run(
+    `.a {
+  @ruler scale({
+    prefix: 'space',
+    crossPairs: [['lg', 'xs']],
+    pairs: { "xs": [8, 8], "md": [16, 16], "lg": [32, 32] }
+  });
+}
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', only: ['md', 'xs-lg'] });
+@ruler utility({ selector: '.m', property: 'margin', scale: 'space', exclude: ['xs-lg', 'lg'] });`,
+    `.a {
+  --space-xs: 0.5rem;
+  --space-md: 1rem;
+  --space-lg: 2rem;
+  --space-xs-lg: clamp(0.5rem, 1.6667vw + 0.1667rem, 2rem);
+}
+.p-md {
+  padding: 1rem;
+}
+.p-xs-lg {
+  padding: clamp(0.5rem, 1.6667vw + 0.1667rem, 2rem);
+}
+.m-xs {
+  margin: 0.5rem;
+}
+.m-md {
+  margin: 1rem;
+}`,
+    {},
+  );
+});
+
+test("throws error for unknown cross pair and filter steps", async () => {
+  const errorFor = async (input) => {
+    try {
+      await run(input, "", {});
+    } catch (e) {
+      return e.reason;
+    }
+  };
+
+  equal(
+    await errorFor(
+      `@ruler scale({ crossPairs: [['xs', 'xl']], pairs: { "xs": [8, 16] } });`,
+    ),
+    'Cross pair step "xl" not found. Available steps: xs',
+  );
+  equal(
+    await errorFor(
+      `@ruler scale({ pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', only: ['md'] });`,
+    ),
+    '@ruler utility() only step "md" not found in scale "space". Available steps: xs',
+  );
+});
+
+test("derives scales that extend another scale", async () => {
+  await run(
+    `@ruler scale({ pairs: { "xs": [8, 16], "md": [16, 32], "lg": [32, 64] } });
+@ruler scale({
+  prefix: 'tight',
+  extends: 'space',
+  multiply: 0.5,
+  offset: [0, 2],
+  drop: ['lg'],
+  pairs: { "md": [10, 20], "xl": [24, 40] }
+});`,
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --space-md: clamp(1rem, 1.1111vw + 0.7778rem, 2rem);
+    --space-lg: clamp(2rem, 2.2222vw + 1.5556rem, 4rem)
+}
+:root {
+    --tight-xs: clamp(0.25rem, 0.4167vw + 0.1667rem, 0.625rem);
+    --tight-md: clamp(0.625rem, 0.6944vw + 0.4861rem, 1.25rem);
+    --tight-xl: clamp(1.5rem, 1.1111vw + 1.2778rem, 2.5rem)
+}`,
+    {},
+  );
+});
+
+test("keeps modular step order when extending with adjacent cross pairs", async () => {
+  await run(
+    `@ruler scale({ prefix: 'font', base: [16, 16], ratio: 2, steps: [-1, 1] });
+@ruler scale({ prefix: 'small', extends: 'font', multiply: 0.5, crossPairs: 'adjacent', pairs: { "0": [10, 10] } });`,
+    `:root {
+    --font--1: 0.5rem;
+    --font-0: 1rem;
+    --font-1: 2rem
+}
+:root {
+    --small--1: 0.25rem;
+    --small-0: 0.625rem;
+    --small-1: 1rem;
+    --small--1-0: clamp(0.25rem, 0.4167vw + 0.1667rem, 0.625rem);
+    --small-0-1: clamp(0.625rem, 0.4167vw + 0.5417rem, 1rem)
+}`,
+    {},
+  );
+});
+
+test("resolves config scale extends in dependency order", () => {
+  const manifest = plugin.resolveScales({
+    scales: {
+      "space-tight": { extends: "space", multiply: 0.5, minWidth: 480 },
+      space: { maxWidth: 1280, pairs: { xs: [8, 16] } },
+    },
+  });
+
+  deepEqual(manifest["space-tight"].xs, {
+    index: 0,
+    property: "--space-tight-xs",
+    min: 4,
+    max: 8,
+    minWidth: 480,
+    maxWidth: 1280,
+    clamp: "clamp(0.25rem, 0.5000vw + 0.1rem, 0.5rem)",
+  });
+});
+
+test("throws error for missing, circular and invalid scale extends", () => {
+  const errorFor = (scales) => {
+    try {
+      plugin.resolveScales({ scales });
+    } catch (e) {
+      return e.message;
+    }
+  };
+
+  equal(
+    errorFor({ a: { extends: "b" }, b: { extends: "a" } }),
+    "[postcss-ruler] Circular scale extends: a → b → a",
+  );
+  equal(
+    errorFor({ a: { extends: "missing" } }),
+    '[postcss-ruler] Scale "missing" to extend not found. Define it before the scales that extend it.',
+  );
+  equal(
+    errorFor({
+      s: { pairs: { xs: [4, 8] } },
+      a: { extends: "s", drop: ["md"] },
+    }),
+    '[postcss-ruler] Cannot drop step "md": not found in scale "s". Available steps: xs',
+  );
+});
+
+test("emits config scales with @ruler tokens()", async () => {
+  const opts = {
+    scales: {
+      space: { pairs: { xs: [8, 16] } },
+      font: { pairs: { sm: [14, 16] } },
+    },
+  };
+
+  await run(
+    `@ruler tokens();`,
+    `:root {
+    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem);
+    --font-sm: clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem)
+}`,
+    opts,
+  );
+  await run(
+    `.dark { @ruler tokens(font); }`,
+    `.dark { --font-sm: clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem); }`,
+    opts,
+  );
+  await run(
+    `.dark { @ruler tokens("font", 'space'); }`,
+    `.dark { --font-sm: clamp(0.875rem, 0.1389vw + 0.8472rem, 1rem); --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem); }`,
+    opts,
+  );
+  await run(
+    `@ruler tokens({ scales: ['space'], selector: '.theme', layer: 'tokens' });
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', valueMode: 'var' });`,
+    `@layer tokens {
+    .theme {
+        --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
+}
+.p-xs {
+    padding: var(--space-xs)
+}`,
+    opts,
+  );
+});
+
+test("throws error for unknown @ruler tokens() scales", async () => {
+  try {
+    await run(`@ruler tokens(space, font);`, "", {
+      scales: { space: { pairs: { xs: [8, 16] } } },
+    });
+  } catch (e) {
+    equal(e.reason, 'Scale "font" not found. Available scales: space');
+    return;
+  }
+  throw new Error("Expected an error");
+});
+
+test("keeps @ruler scale() declarations scoped to their file", async () => {
+  const processor = postcss([plugin()]);
+  await processor.process(`@ruler scale({ pairs: { "xs": [8, 16] } });`, {
+    from: "a.css",
+  });
+
+  let error;
+  try {
+    await processor.process(
+      `@ruler utility({ selector: '.p', property: 'padding', scale: 'space' });`,
+      { from: "b.css" },
+    );
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason,
+    'Scale "space" not found. Define it with @ruler scale() first.',
+  );
+});
+
+test("shares global scales with later files until they are removed", async () => {
+  const processor = postcss([plugin()]);
+  const utility = `@ruler utility({ selector: '.p', property: 'padding', scale: 'space' });`;
+
+  await processor.process(
+    `@ruler scale({ scope: 'global', pairs: { "xs": [8, 16] } });`,
+    { from: "tokens.css" },
+  );
+  const result = await processor.process(utility, { from: "card.css" });
+  equal(
+    result.css,
+    ".p-xs {\n    padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)\n}",
+  );
+  equal(result.warnings().length, 0);
+
+  // A rebuild of tokens.css without the scale removes it for other files
+  await processor.process(`:root {}`, { from: "tokens.css" });
+  let error;
+  try {
+    await processor.process(utility, { from: "card.css" });
+  } catch (e) {
+    error = e;
+  }
+  equal(
+    error.reason,
+    'Scale "space" not found. Define it with @ruler scale() first.',
+  );
+});
+
+test("exports the scales declared by every processed file", async () => {
+  const file = path.join(tokenDir, "manifest", "files.json");
+  const processor = postcss([
+    plugin({ export: file, scales: { space: { pairs: { xs: [8, 16] } } } }),
+  ]);
+  const exported = () => Object.keys(JSON.parse(fs.readFileSync(file)));
+
+  await processor.process(
+    `@ruler scale({ prefix: 'a', pairs: { "sm": [14, 16] } });`,
+    {
+      from: "a.css",
+    },
+  );
+  await processor.process(`.b { color: red; }`, { from: "b.css" });
+  deepEqual(exported(), ["space", "a"]);
+
+  // Rebuilding a file replaces only the scales it declared
+  await processor.process(
+    `@ruler scale({ prefix: 'c', pairs: { "sm": [14, 16] } });`,
+    {
+      from: "a.css",
+    },
+  );
+  deepEqual(exported(), ["space", "c"]);
+});
+
+test("drops scales removed from config token files", async () => {
+  const file = writeTokens("removed.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+    font: { sm: { min: { $value: 14 }, max: { $value: 16 } } },
+  });
+  const processor = postcss([plugin({ scales: file })]);
+  await processor.process(`@ruler tokens();`, { from: undefined });
+
+  writeTokens("removed.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+  });
+  const mtime = new Date(Date.now() + 5000);
+  fs.utimesSync(file, mtime, mtime);
+
+  const result = await processor.process(`@ruler tokens();`, {
+    from: undefined,
+  });
+  equal(
+    result.css,
+    ":root {\n    --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)\n}",
+  );
+});
+
+test("gives generated nodes the source of their @ruler at-rule", async () => {
+  const result = await postcss([
+    plugin({ breakpoints: { md: 768 }, layer: "tokens" }),
+  ]).process(
+    `.a { color: red; }
+@ruler scale({ pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', breakpoints: ['md'] });`,
+    { from: "input.css" },
+  );
+
+  const lines = [];
+  result.root.walk((node) => {
+    if (node.type !== "decl" || node.prop === "color") return;
+    lines.push(`${node.parent.selector} ${node.source.start.line}`);
+  });
+  deepEqual(lines, [":root 2", ".p-xs 3", ".md\\:p-xs 3"]);
+  equal(result.root.last.source.input.file, path.resolve("input.css"));
+});
+
+test("indents generated nodes regardless of preceding at-rules", async () => {
+  await run(
+    `@charset "utf-8";
+@ruler scale({ layer: 'tokens', pairs: { "xs": [8, 16] } });
+@ruler utility({ selector: '.p', property: 'padding', scale: 'space', breakpoints: ['md'] });`,
+    `@charset "utf-8";
+@layer tokens {
+    :root {
+        --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
+}
+.p-xs {
+    padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
+@media (min-width: 768px) {
+    .md\\:p-xs {
+        padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
+}`,
+    { breakpoints: { md: 768 } },
+  );
+});
+
+/**
+ * Runs the command-line tool in the temporary test directory
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit
+ *   code and output
+ */
+async function runCli(argv) {
+  const { main } = require("./cli");
+  const output = { stdout: "", stderr: "" };
+  const stream = (name) => ({ write: (text) => (output[name] += text) });
+  const code = await main(argv, {
+    cwd: tokenDir,
+    stdout: stream("stdout"),
+    stderr: stream("stderr"),
+  });
+  return { code, ...output };
+}
+
+test("cli prints step sizes at viewport widths", async () => {
+  fs.writeFileSync(
+    path.join(tokenDir, "postcss-ruler.config.js"),
+    `module.exports = { scales: { space: { pairs: { xs: [8, 16], lg: [32, 48] } } } };`,
+  );
+
+  deepEqual(await runCli(["table", "--widths", "320,1024,1760"]), {
+    code: 0,
+    stdout: `space
+property     min   max  @320px  @1024px  @1760px
+--space-xs   8px  16px     8px  11.91px     16px
+--space-lg  32px  48px    32px  39.82px     48px
+`,
+    stderr: "",
+  });
+});
+
+test("cli writes tokens, built CSS and manifests", async () => {
+  const file = writeTokens("cli.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+  });
+  fs.writeFileSync(
+    path.join(tokenDir, "cli-utilities.css"),
+    `@ruler utility({ selector: '.p', property: 'padding', scale: 'space' });`,
+  );
+
+  equal(
+    (await runCli(["tokens", "--tokens", file, "--layer", "tokens"])).stdout,
+    `@layer tokens {
+    :root {
+        --space-xs: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+    }
+}
+`,
+  );
+  equal(
+    (await runCli(["build", "cli-utilities.css", "--tokens", file])).stdout,
+    `.p-xs {
+    padding: clamp(0.5rem, 0.5556vw + 0.3889rem, 1rem)
+}
+`,
+  );
+
+  await runCli(["manifest", "--tokens", file, "-o", "out/cli.json"]);
+  deepEqual(
+    JSON.parse(fs.readFileSync(path.join(tokenDir, "out/cli.json"), "utf8")),
+    plugin.resolveScales({ scales: file }),
+  );
+});
+
+test("cli tokens reports errors without positions in generated CSS", async () => {
+  const file = writeTokens("cli-tokens.json", {
+    space: { xs: { min: { $value: 8 }, max: { $value: 16 } } },
+  });
+
+  deepEqual(await runCli(["tokens", "--tokens", file, "--scale", "nope"]), {
+    code: 1,
+    stdout: "",
+    stderr: 'Scale "nope" not found. Available scales: space\n',
+  });
+  deepEqual(await runCli(["tokens", "--tokens", file, "--layer", "1bad"]), {
+    code: 1,
+    stdout: "",
+    stderr:
+      'Invalid layer name "1bad": use letters, numbers, hyphens and underscores, with dots between nested layers\n',
+  });
+});
+
+test("cli check reports @ruler errors with their position", async () => {
+  fs.writeFileSync(
+    path.join(tokenDir, "cli-good.css"),
+    `@ruler scale({ pairs: { "xs": [8, 16] } });`,
+  );
+  fs.writeFileSync(
+    path.join(tokenDir, "cli-bad.css"),
+    `.a { color: red; }\n@ruler utility({ selector: '.p', property: 'padding', scale: 'nope' });`,
+  );
+
+  deepEqual(
+    await runCli([
+      "check",
+      "cli-good.css",
+      "cli-bad.css",
+      "--tokens",
+      writeTokens("cli-check.json", {}),
+    ]),
+    {
+      code: 1,
+      stdout: "cli-good.css: ok\n",
+      stderr:
+        'cli-bad.css:2:1: Scale "nope" not found. Define it with @ruler scale() first.\n',
+    },
+  );
+});
+
+test("cli commands never write the export option's files", async () => {
+  const exportFile = path.join(tokenDir, "out", "cli-export.json");
+  fs.writeFileSync(
+    path.join(tokenDir, "cli-export.config.js"),
+    `module.exports = {
+  export: ${JSON.stringify(exportFile)},
+  scales: { space: { pairs: { xs: [8, 16] } } },
+};`,
+  );
+  fs.writeFileSync(
+    path.join(tokenDir, "cli-export.css"),
+    `@ruler utility({ selector: '.p', property: 'padding', scale: 'space' });`,
+  );
+
+  const config = ["--config", "cli-export.config.js"];
+  for (const argv of [
+    ["check", "cli-export.css"],
+    ["build", "cli-export.css"],
+    ["tokens"],
+    ["table"],
+    ["manifest"],
+  ]) {
+    equal((await runCli([...argv, ...config])).code, 0);
+  }
+  equal(fs.existsSync(exportFile), false);
+});
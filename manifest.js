@@ -0,0 +1,210 @@
+/**
+ * Builds and formats manifests of resolved scales for use outside CSS:
+ * JSON, ES modules, TypeScript modules and SCSS maps.
+ */
+
+// Formats and the file extensions they are inferred from
+const FORMAT_EXTENSIONS = {
+  json: [".json"],
+  esm: [".js", ".mjs"],
+  ts: [".ts", ".mts"],
+  scss: [".scss"],
+};
+
+/**
+ * Builds a manifest from the scales registry
+ * @param {Object<string, Array<{label: string, clamp: string, params: Object}>>} scales -
+ *   Scale entries keyed by prefix
+ * @returns {Object<string, Object<string, Object>>} Steps keyed by scale and label, each with
+ *   index, property, min, max, minWidth, maxWidth and clamp. `index` is the
+ *   step's position in the scale, since objects list numeric labels first.
+ */
+const createManifest = (scales) =>
+  Object.fromEntries(
+    Object.entries(scales).map(([prefix, entries]) => [
+      prefix,
+      Object.fromEntries(
+        entries.map(({ label, clamp, params }, index) => [
+          label,
+          {
+            index,
+            property: `--${prefix}-${label}`,
+            min: params.minSize,
+            max: params.maxSize,
+            minWidth: params.minWidth,
+            maxWidth: params.maxWidth,
+            clamp,
+          },
+        ]),
+      ),
+    ]),
+  );
+
+/**
+ * Lists the steps of a manifest scale in scale order
+ * @param {Object<string, Object>} steps - Steps keyed by label
+ * @returns {Array<[string, Object]>} Label and step pairs, ordered by index
+ */
+const orderedSteps = (steps) =>
+  Object.entries(steps).sort(([, a], [, b]) => a.index - b.index);
+
+/**
+ * Formats a manifest scale as JSON with its steps in scale order
+ * @param {Object<string, Object>} steps - Steps keyed by label
+ * @param {string} indent - Indentation of the scale's opening line
+ * @returns {string} JSON object source
+ */
+const stringifySteps = (steps, indent) => {
+  const lines = orderedSteps(steps).map(
+    ([label, step]) =>
+      `${indent}  ${JSON.stringify(label)}: ${JSON.stringify(step, null, 2).replace(/\n/g, `\n${indent}  `)}`,
+  );
+  return lines.length > 0 ? `{\n${lines.join(",\n")}\n${indent}}` : "{}";
+};
+
+/**
+ * Formats a manifest as JSON with steps in scale order
+ * @param {Object} manifest - Manifest from createManifest()
+ * @returns {string} JSON source
+ */
+const formatJson = (manifest) => {
+  const scales = Object.entries(manifest).map(
+    ([prefix, steps]) =>
+      `  ${JSON.stringify(prefix)}: ${stringifySteps(steps, "  ")}`,
+  );
+  return scales.length > 0 ? `{\n${scales.join(",\n")}\n}\n` : "{}\n";
+};
+
+/**
+ * Converts a scale prefix into a JavaScript identifier
+ * @param {string} prefix - Scale prefix, e.g. "space-compact"
+ * @returns {string} Identifier, e.g. "spaceCompact"
+ */
+const toIdentifier = (prefix) => {
+  const identifier = prefix
+    .replace(/[^\w$]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ""))
+    .replace(/^(\d)/, "_$1");
+  return identifier === "default" ? "_default" : identifier;
+};
+
+/**
+ * Formats a manifest as an ES module, optionally with TypeScript types
+ * @param {Object} manifest - Manifest from createManifest()
+ * @param {boolean} typed - Whether to emit TypeScript
+ * @returns {string} Module source
+ */
+const formatModule = (manifest, typed) => {
+  const lines = [];
+
+  if (typed) {
+    lines.push(
+      "export interface RulerStep {",
+      "  readonly index: number;",
+      "  readonly property: string;",
+      "  readonly min: number;",
+      "  readonly max: number;",
+      "  readonly minWidth: number;",
+      "  readonly maxWidth: number;",
+      "  readonly clamp: string;",
+      "}",
+      "",
+    );
+  }
+
+  const names = Object.keys(manifest).map((prefix) => {
+    const name = toIdentifier(prefix);
+    const body = stringifySteps(manifest[prefix], "");
+    lines.push(
+      typed
+        ? `export const ${name} = ${body} as const satisfies Record<string, RulerStep>;`
+        : `export const ${name} = ${body};`,
+      "",
+    );
+    return prefix === name ? name : `${JSON.stringify(prefix)}: ${name}`;
+  });
+
+  lines.push(
+    `const scales = { ${names.join(", ")} }${typed ? " as const" : ""};`,
+  );
+  if (typed) {
+    lines.push("", "export type ScaleName = keyof typeof scales;");
+  }
+  lines.push("", "export default scales;", "");
+
+  return lines.join("\n");
+};
+
+/**
+ * Formats a manifest as SCSS maps, one `$ruler-<prefix>` map per scale plus
+ * a `$ruler-scales` map of all scales
+ * @param {Object} manifest - Manifest from createManifest()
+ * @returns {string} SCSS source
+ */
+const formatScss = (manifest) => {
+  const lines = [];
+
+  Object.entries(manifest).forEach(([prefix, steps]) => {
+    lines.push(`$ruler-${prefix}: (`);
+    orderedSteps(steps).forEach(([label, step]) => {
+      lines.push(
+        `  ${JSON.stringify(label)}: (`,
+        `    "index": ${step.index},`,
+        `    "property": ${JSON.stringify(step.property)},`,
+        `    "min": ${step.min}px,`,
+        `    "max": ${step.max}px,`,
+        `    "min-width": ${step.minWidth}px,`,
+        `    "max-width": ${step.maxWidth}px,`,
+        `    "clamp": unquote(${JSON.stringify(step.clamp)}),`,
+        "  ),",
+      );
+    });
+    lines.push(");", "");
+  });
+
+  lines.push("$ruler-scales: (");
+  Object.keys(manifest).forEach((prefix) => {
+    lines.push(`  ${JSON.stringify(prefix)}: $ruler-${prefix},`);
+  });
+  lines.push(");", "");
+
+  return lines.join("\n");
+};
+
+/**
+ * Infers a manifest format from a file extension
+ * @param {string} file - Output file path
+ * @returns {string|undefined} Format name, if the extension is known
+ */
+const inferFormat = (file) =>
+  Object.keys(FORMAT_EXTENSIONS).find((format) =>
+    FORMAT_EXTENSIONS[format].some((extension) => file.endsWith(extension)),
+  );
+
+/**
+ * Formats a manifest
+ * @param {Object} manifest - Manifest from createManifest()
+ * @param {string} format - One of "json", "esm", "ts" or "scss"
+ * @returns {string} File contents
+ */
+const formatManifest = (manifest, format) => {
+  switch (format) {
+    case "json":
+      return formatJson(manifest);
+    case "esm":
+      return formatModule(manifest, false);
+    case "ts":
+      return formatModule(manifest, true);
+    case "scss":
+      return formatScss(manifest);
+    default:
+      throw new Error(`[postcss-ruler] Unknown manifest format "${format}"`);
+  }
+};
+
+module.exports = {
+  FORMATS: Object.keys(FORMAT_EXTENSIONS),
+  createManifest,
+  formatManifest,
+  inferFormat,
+  orderedSteps,
+};
@@ -0,0 +1,262 @@
+/**
+ * Parser for the JSON5-like object literals passed to @ruler at-rules.
+ *
+ * Supports single- and double-quoted strings, unquoted keys (including
+ * hyphens, e.g. `padding-top` or `-1`), numbers such as `.5`, `-2` or `1e3`,
+ * `true`/`false`/`null`, trailing commas, and line or block comments.
+ */
+
+/**
+ * Converts a character index into a 1-based line and column
+ * @param {string} text - Source text
+ * @param {number} index - Character index
+ * @param {{line: number, column: number}} start - Position of the first character
+ * @returns {{line: number, column: number}} Position
+ */
+const getPosition = (text, index, start) => {
+  const lines = text.slice(0, index).split("\n");
+  const column = lines[lines.length - 1].length + 1;
+  return lines.length === 1
+    ? { line: start.line, column: start.column + column - 1 }
+    : { line: start.line + lines.length - 1, column };
+};
+
+/**
+ * Describes the token at an index for error messages
+ * @param {string} text - Source text
+ * @param {number} index - Character index
+ * @returns {string} Quoted character or "end of input"
+ */
+const describe = (text, index) =>
+  index >= text.length ? "end of input" : `"${text[index]}"`;
+
+const KEY_PATTERN = /[\w$-]/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const ESCAPES = {
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  b: "\b",
+  f: "\f",
+  v: "\v",
+  0: "\0",
+};
+
+/**
+ * Parses a JSON5-like object literal
+ * @param {string} text - Source text containing a single object literal
+ * @param {{line: number, column: number}} [start] - Source position of the first
+ *   character, used for error positions (defaults to line 1, column 1)
+ * @returns {Object} Parsed object
+ * @throws {Error} With `reason`, `index`, `line` and `column` on syntax errors
+ */
+const parseObjectLiteral = (text, start = { line: 1, column: 1 }) => {
+  let index = 0;
+
+  /**
+   * Creates a syntax error carrying the position it occurred at
+   * @param {number} errorIndex - Character index of the problem
+   * @param {string} reason - Description of the problem
+   * @returns {Error} Error with `reason`, `index`, `line` and `column` properties
+   */
+  const syntaxError = (errorIndex, reason) => {
+    const { line, column } = getPosition(text, errorIndex, start);
+    const error = new Error(`${reason} at line ${line}, column ${column}`);
+    error.reason = reason;
+    error.index = errorIndex;
+    error.line = line;
+    error.column = column;
+    return error;
+  };
+
+  /**
+   * Describes where a bracket was opened for error messages
+   * @param {number} openIndex - Character index of the opening bracket
+   * @returns {string} Position description
+   */
+  const openedAt = (openIndex) => {
+    const { line, column } = getPosition(text, openIndex, start);
+    return `from line ${line}, column ${column}`;
+  };
+
+  const skipWhitespace = () => {
+    while (index < text.length) {
+      if (/\s/.test(text[index])) {
+        index++;
+      } else if (text.startsWith("//", index)) {
+        const end = text.indexOf("\n", index);
+        index = end === -1 ? text.length : end + 1;
+      } else if (text.startsWith("/*", index)) {
+        const end = text.indexOf("*/", index + 2);
+        if (end === -1) {
+          throw syntaxError(index, "Unterminated comment");
+        }
+        index = end + 2;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[index];
+    const quoteIndex = index;
+    let value = "";
+    index++;
+
+    while (index < text.length && text[index] !== quote) {
+      const char = text[index];
+      if (char === "\n") break;
+      if (char === "\\") {
+        const next = text[index + 1];
+        if (next === "u") {
+          const hex = text.slice(index + 2, index + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            throw syntaxError(index, "Invalid unicode escape");
+          }
+          value += String.fromCharCode(parseInt(hex, 16));
+          index += 6;
+          continue;
+        }
+        value += ESCAPES[next] ?? next;
+        index += 2;
+        continue;
+      }
+      value += char;
+      index++;
+    }
+
+    if (text[index] !== quote) {
+      throw syntaxError(quoteIndex, "Unterminated string");
+    }
+    index++;
+    return value;
+  };
+
+  const parseKey = () => {
+    if (text[index] === '"' || text[index] === "'") return parseString();
+
+    const keyStart = index;
+    while (index < text.length && KEY_PATTERN.test(text[index])) index++;
+    if (keyStart === index) {
+      throw syntaxError(
+        index,
+        `Unexpected ${describe(text, index)}, expected a property name`,
+      );
+    }
+    return text.slice(keyStart, index);
+  };
+
+  const parseCollection = (open, close, parseEntry) => {
+    const openIndex = index;
+    index++;
+
+    for (;;) {
+      skipWhitespace();
+      if (text[index] === close) {
+        index++;
+        return;
+      }
+      if (index >= text.length) {
+        throw syntaxError(
+          index,
+          `Unexpected end of input, expected "${close}" to close "${open}" ${openedAt(openIndex)}`,
+        );
+      }
+
+      parseEntry();
+      skipWhitespace();
+
+      if (text[index] === ",") {
+        index++;
+      } else if (text[index] !== close) {
+        throw syntaxError(
+          index,
+          `Unexpected ${describe(text, index)}, expected "," or "${close}" to close "${open}" ${openedAt(openIndex)}`,
+        );
+      }
+    }
+  };
+
+  const parseObject = () => {
+    const object = {};
+    parseCollection("{", "}", () => {
+      const keyIndex = index;
+      const key = parseKey();
+      if (Object.prototype.hasOwnProperty.call(object, key)) {
+        throw syntaxError(keyIndex, `Duplicate property "${key}"`);
+      }
+      skipWhitespace();
+      if (text[index] !== ":") {
+        throw syntaxError(
+          index,
+          `Unexpected ${describe(text, index)}, expected ":" after "${key}"`,
+        );
+      }
+      index++;
+      object[key] = parseValue();
+    });
+    return object;
+  };
+
+  const parseArray = () => {
+    const array = [];
+    parseCollection("[", "]", () => {
+      array.push(parseValue());
+    });
+    return array;
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const char = text[index];
+
+    if (char === "{") return parseObject();
+    if (char === "[") return parseArray();
+    if (char === '"' || char === "'") return parseString();
+
+    const number = NUMBER_PATTERN.exec(text.slice(index));
+    if (number) {
+      index += number[0].length;
+      return Number(number[0]);
+    }
+
+    const word = /^[A-Za-z_$][\w$-]*/.exec(text.slice(index));
+    if (word) {
+      const literals = { true: true, false: false, null: null };
+      if (Object.prototype.hasOwnProperty.call(literals, word[0])) {
+        index += word[0].length;
+        return literals[word[0]];
+      }
+      throw syntaxError(
+        index,
+        `Unexpected identifier "${word[0]}", strings must be quoted`,
+      );
+    }
+
+    throw syntaxError(
+      index,
+      `Unexpected ${describe(text, index)}, expected a value`,
+    );
+  };
+
+  skipWhitespace();
+  if (text[index] !== "{") {
+    throw syntaxError(
+      index,
+      `Unexpected ${describe(text, index)}, expected "{"`,
+    );
+  }
+  const result = parseObject();
+  skipWhitespace();
+  if (index < text.length) {
+    throw syntaxError(
+      index,
+      `Unexpected ${describe(text, index)} after the closing "}"`,
+    );
+  }
+
+  return result;
+};
+
+module.exports = { parseObjectLiteral };
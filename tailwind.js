@@ -0,0 +1,67 @@
+const { resolveScales } = require("./index");
+const { orderedSteps } = require("./manifest");
+
+/**
+ * Builds a Tailwind `theme.extend` object from postcss-ruler scales, so
+ * Tailwind utilities and ruler scales share one source of truth.
+ *
+ * @example
+ * // tailwind.config.js
+ * const rulerTheme = require("postcss-ruler/tailwind");
+ *
+ * module.exports = {
+ *   theme: {
+ *     extend: rulerTheme({
+ *       scales: require("./ruler.scales"),
+ *       theme: { spacing: "space", fontSize: "font" },
+ *     }),
+ *   },
+ * };
+ *
+ * @param {Object} options - postcss-ruler plugin options plus:
+ * @param {Object<string, string|Array<string>>} options.theme - Tailwind theme
+ *   keys mapped to the scale (or scales) that fill them. With several scales,
+ *   keys are prefixed with the scale name (`space-xs`).
+ * @param {"var"|"clamp"} [options.values="var"] - Emit `var(--space-xs)`
+ *   references or the raw clamp() values
+ * @returns {Object<string, Object<string, string>>} Tailwind theme extension
+ * @throws {Error} If the mapping is missing or names an unknown scale
+ */
+module.exports = ({ theme, values = "var", ...pluginOptions } = {}) => {
+  if (theme === null || typeof theme !== "object" || Array.isArray(theme)) {
+    throw new Error(
+      '[postcss-ruler] Tailwind preset requires a "theme" object mapping theme keys to scales, e.g. { spacing: "space" }',
+    );
+  }
+  if (values !== "var" && values !== "clamp") {
+    throw new Error(
+      `[postcss-ruler] Tailwind preset "values" must be "var" or "clamp", got "${values}"`,
+    );
+  }
+
+  const manifest = resolveScales(pluginOptions);
+
+  return Object.fromEntries(
+    Object.entries(theme).map(([themeKey, scaleNames]) => {
+      const names = Array.isArray(scaleNames) ? scaleNames : [scaleNames];
+      const entries = {};
+
+      names.forEach((name) => {
+        const steps = manifest[name];
+        if (!steps) {
+          throw new Error(
+            `[postcss-ruler] Scale "${name}" for Tailwind theme key "${themeKey}" not found`,
+          );
+        }
+
+        orderedSteps(steps).forEach(([label, step]) => {
+          const key = names.length > 1 ? `${name}-${label}` : label;
+          entries[key] =
+            values === "var" ? `var(${step.property})` : step.clamp;
+        });
+      });
+
+      return [themeKey, entries];
+    }),
+  );
+};
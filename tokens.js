@@ -0,0 +1,208 @@
+const fs = require("fs");
+
+/**
+ * Reader for W3C Design Tokens (DTCG) and Tokens Studio JSON files.
+ *
+ * Groups become scales named after their path (`font.size` → `font-size`).
+ * A step is either a group with `min` and `max` tokens, or a token carrying
+ * `{ min, max }` in `$extensions["postcss-ruler"]`. Group-level
+ * `$extensions["postcss-ruler"]` holds scale options such as `minWidth`.
+ */
+
+// Key used for postcss-ruler metadata in `$extensions`
+const EXTENSION_KEY = "postcss-ruler";
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Checks whether a node is a token (DTCG `$value` or Tokens Studio `value`)
+ * @param {*} node - Token tree node
+ * @returns {boolean} Whether the node is a token
+ */
+const isToken = (node) =>
+  isPlainObject(node) && ("$value" in node || "value" in node);
+
+/**
+ * Reads the postcss-ruler metadata from a node's `$extensions`
+ * @param {Object} node - Token tree node
+ * @returns {Object} Metadata (empty when absent)
+ */
+const getExtension = (node) =>
+  (isPlainObject(node.$extensions) && node.$extensions[EXTENSION_KEY]) || {};
+
+/**
+ * Resolves token aliases such as `{space.xs.min}` against the document
+ * @param {*} value - Token value, possibly an alias
+ * @param {Object} document - Parsed token document
+ * @param {string} tokenPath - Dotted path of the token, for error messages
+ * @param {Array<string>} [seen] - Aliases already followed, for cycle detection
+ * @returns {*} Resolved value
+ * @throws {Error} If the alias is missing or circular
+ */
+const resolveAlias = (value, document, tokenPath, seen = []) => {
+  const match = typeof value === "string" && /^\{([^}]+)\}$/.exec(value);
+  if (!match) return value;
+
+  if (seen.includes(match[1])) {
+    throw new Error(
+      `[postcss-ruler] Circular token alias at "${tokenPath}": ${[...seen, match[1]].join(" → ")}`,
+    );
+  }
+
+  const target = match[1]
+    .split(".")
+    .reduce(
+      (node, key) => (isPlainObject(node) ? node[key] : undefined),
+      document,
+    );
+  if (!isToken(target)) {
+    throw new Error(
+      `[postcss-ruler] Token "${tokenPath}" references unknown token "${match[1]}"`,
+    );
+  }
+
+  const targetValue = "$value" in target ? target.$value : target.value;
+  return resolveAlias(targetValue, document, tokenPath, [...seen, match[1]]);
+};
+
+/**
+ * Converts a token dimension to pixels
+ * @param {*} value - Number, "8px"/"0.5rem"/"8" string or `{ value, unit }` object
+ * @param {number} rootFontSize - Pixels per rem/em
+ * @param {string} tokenPath - Dotted path of the token, for error messages
+ * @returns {number} Size in pixels
+ * @throws {Error} If the value is not a px/rem/em dimension
+ */
+const toPixels = (value, rootFontSize, tokenPath) => {
+  if (isPlainObject(value)) {
+    value = `${value.value}${value.unit || ""}`;
+  }
+  if (typeof value === "number") return value;
+
+  const match =
+    typeof value === "string" &&
+    /^\s*(-?(?:\d+\.?\d*|\.\d+))(px|rem|em)?\s*$/.exec(value);
+  if (!match) {
+    throw new Error(
+      `[postcss-ruler] Token "${tokenPath}" has unsupported value ${JSON.stringify(value)}: expected a px, rem or em dimension`,
+    );
+  }
+
+  const number = Number(match[1]);
+  return match[2] === "rem" || match[2] === "em"
+    ? number * rootFontSize
+    : number;
+};
+
+/**
+ * Collects scale definitions from a parsed token document
+ * @param {Object} document - Parsed token document
+ * @param {Object} [options] - Collection options
+ * @param {number} [options.rootFontSize=16] - Pixels per rem/em in token values
+ * @returns {Object<string, Object>} Scale options keyed by scale prefix
+ * @throws {Error} On invalid or unresolvable token values
+ */
+const collectScales = (document, { rootFontSize = 16 } = {}) => {
+  const scales = {};
+
+  /**
+   * Reads a token's value in pixels
+   * @param {Object} token - Token node
+   * @param {string} tokenPath - Dotted path of the token
+   * @param {number} baseSize - Pixels per rem/em
+   * @returns {number} Size in pixels
+   */
+  const readSize = (token, tokenPath, baseSize) => {
+    const raw = isToken(token)
+      ? "$value" in token
+        ? token.$value
+        : token.value
+      : token;
+    return toPixels(
+      resolveAlias(raw, document, tokenPath),
+      baseSize,
+      tokenPath,
+    );
+  };
+
+  /**
+   * Walks a token group, collecting steps into the scale named by its path
+   * @param {Object} group - Token group
+   * @param {Array<string>} groupPath - Keys leading to the group
+   * @param {Object} groupOptions - Scale options inherited from parent groups
+   */
+  const walk = (group, groupPath, groupOptions) => {
+    const { prefix, ...scaleOptions } = getExtension(group);
+    const options = { ...groupOptions, ...scaleOptions };
+    const baseSize = options.rootFontSize ?? rootFontSize;
+    const scaleName = prefix || groupPath.join("-");
+
+    Object.entries(group).forEach(([key, node]) => {
+      if (key.startsWith("$") || !isPlainObject(node)) return;
+
+      const tokenPath = [...groupPath, key].join(".");
+      const extension = getExtension(node);
+      let values = null;
+
+      if (extension.min !== undefined && extension.max !== undefined) {
+        values = [
+          readSize(extension.min, `${tokenPath}.min`, baseSize),
+          readSize(extension.max, `${tokenPath}.max`, baseSize),
+        ];
+      } else if (!isToken(node) && isToken(node.min) && isToken(node.max)) {
+        values = [
+          readSize(node.min, `${tokenPath}.min`, baseSize),
+          readSize(node.max, `${tokenPath}.max`, baseSize),
+        ];
+      } else if (!isToken(node)) {
+        walk(node, [...groupPath, key], options);
+        return;
+      }
+
+      if (!values) return;
+      if (!scaleName) {
+        throw new Error(
+          `[postcss-ruler] Token "${tokenPath}" must be inside a group to form a scale`,
+        );
+      }
+
+      scales[scaleName] = scales[scaleName] || { ...options, pairs: {} };
+      scales[scaleName].pairs[key] = values;
+    });
+  };
+
+  walk(document, [], {});
+  return scales;
+};
+
+/**
+ * Reads and parses a token file into scale definitions
+ * @param {string} file - Absolute path to the JSON token file
+ * @param {Object} [options] - Options passed to collectScales()
+ * @returns {Object<string, Object>} Scale options keyed by scale prefix
+ * @throws {Error} If the file is missing, not valid JSON or has invalid tokens
+ */
+const loadTokenFile = (file, options) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new Error(
+      `[postcss-ruler] Could not read token file "${file}": ${err.message}`,
+    );
+  }
+
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (err) {
+    throw new Error(
+      `[postcss-ruler] Could not parse token file "${file}": ${err.message}`,
+    );
+  }
+
+  return collectScales(document, options);
+};
+
+module.exports = { collectScales, loadTokenFile };